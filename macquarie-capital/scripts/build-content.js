@@ -0,0 +1,52 @@
+// Compiles the Markdown under content/ into JSON the app imports from
+// src/data/content/. Runs before `npm start`, `npm run build` and
+// `npm test`; edit the Markdown, never the JSON.
+//
+// Every file's front matter is validated against its collection's schema
+// in src/content/schema.js. Any problem is reported with its file and
+// field, and fails the script (and so the build) without writing anything.
+require('./register-babel');
+
+const fs = require('fs');
+const path = require('path');
+const { compileMarkdown } = require('../src/content/markdown');
+const { collections, validateFrontMatter } = require('../src/content/schema');
+
+const root = path.join(__dirname, '..');
+const contentDir = path.join(root, 'content');
+const publicDir = path.join(root, 'public');
+const outputDir = path.join(root, 'src', 'data', 'content');
+
+const assetExists = asset => fs.existsSync(path.join(publicDir, asset));
+
+function compileCollection({ directory, fields }, errors) {
+  const dir = path.join(contentDir, directory);
+  return fs
+    .readdirSync(dir)
+    .filter(file => file.endsWith('.md'))
+    .sort()
+    .map(file => {
+      const name = `${directory}/${file}`;
+      const { data, blocks, headings, readingTime } = compileMarkdown(fs.readFileSync(path.join(dir, file), 'utf8'));
+      const result = validateFrontMatter(data, fields, name, { assetExists });
+      errors.push(...result.errors);
+      return { slug: path.basename(file, '.md'), ...result.data, readingTime, headings, blocks };
+    })
+    .sort((a, b) => String(b.date).localeCompare(String(a.date)));
+}
+
+const errors = [];
+const compiled = Object.entries(collections).map(([name, collection]) => [name, compileCollection(collection, errors)]);
+
+if (errors.length > 0) {
+  console.error(`Content validation failed with ${errors.length} error(s):\n`);
+  errors.forEach(error => console.error(`  content/${error}`));
+  process.exit(1);
+}
+
+fs.mkdirSync(outputDir, { recursive: true });
+compiled.forEach(([name, entries]) => {
+  const output = path.join(outputDir, `${name}.json`);
+  fs.writeFileSync(output, `${JSON.stringify(entries, null, 2)}\n`);
+  console.log(`Content: ${entries.length} ${name} -> ${path.relative(process.cwd(), output)}`);
+});
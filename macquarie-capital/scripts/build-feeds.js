@@ -0,0 +1,67 @@
+// Writes RSS 2.0, Atom and JSON Feed files for the news and insights
+// collections under public/feeds/: one set for each whole collection, and
+// one per region and per category. Runs after `npm run content` before
+// `npm start` and `npm run build`.
+//
+// Feeds need absolute URLs. Set SITE_URL to the address the site is served
+// from (including any sub-path); it defaults to the local dev server.
+require('./register-babel');
+
+const fs = require('fs');
+const path = require('path');
+const {
+  FEEDS_DIR,
+  FEED_FILES,
+  feedItem,
+  feedVariants,
+  formatAtom,
+  formatJsonFeed,
+  formatRss,
+} = require('../src/feeds/feeds');
+const { insights } = require('../src/data/insights');
+const { news } = require('../src/data/news');
+
+const siteUrl = (process.env.SITE_URL || 'http://localhost:3000').replace(/\/$/, '');
+const publicDir = path.join(__dirname, '..', 'public');
+const outputDir = path.join(publicDir, FEEDS_DIR);
+
+const imageSize = image => fs.statSync(path.join(publicDir, image)).size;
+
+const collections = [
+  { name: 'news', label: 'news', description: 'Media releases from Macquarie Capital.', home: '/news', entries: news },
+  {
+    name: 'insights',
+    label: 'insights',
+    description: 'Perspectives and insights from Macquarie Capital.',
+    home: '/perspectives',
+    entries: insights,
+  },
+];
+
+const formatters = { rss: formatRss, atom: formatAtom, json: formatJsonFeed };
+
+fs.rmSync(outputDir, { recursive: true, force: true });
+let count = 0;
+collections.forEach(({ name, label, description, home, entries }) => {
+  feedVariants(name, label, entries).forEach(variant => {
+    const dir = path.join(outputDir, variant.path);
+    const feed = {
+      title: variant.title,
+      description,
+      homeUrl: `${siteUrl}${home}`,
+      feedUrls: Object.fromEntries(
+        Object.entries(FEED_FILES).map(([format, file]) => [format, `${siteUrl}/${FEEDS_DIR}/${variant.path}/${file}`])
+      ),
+      items: variant.entries.map(entry => feedItem(entry, { siteUrl, imageSize })),
+    };
+    fs.mkdirSync(dir, { recursive: true });
+    Object.entries(formatters).forEach(([format, formatFeed]) => {
+      fs.writeFileSync(path.join(dir, FEED_FILES[format]), formatFeed(feed));
+    });
+    count += 1;
+  });
+});
+
+console.log(
+  `Feeds: ${count} feeds x ${Object.keys(formatters).length} formats for ${siteUrl} -> ${path.relative(process.cwd(), outputDir)}`
+);
@@ -0,0 +1,124 @@
+// Turns every raster image in reference/Macquarie Capital_files into width
+// renditions in its own format plus WebP and AVIF, written to
+// public/renditions, and records them in src/data/renditions.json for
+// ResponsiveImage. Runs before `npm start` and `npm run build`; images whose
+// source has not changed since the manifest was written are skipped.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const ROOT = path.join(__dirname, '..');
+const SOURCE_DIR = path.join(ROOT, 'reference', 'Macquarie Capital_files');
+const OUTPUT_DIR = path.join(ROOT, 'public', 'renditions');
+const MANIFEST = path.join(ROOT, 'src', 'data', 'renditions.json');
+
+// The `data-cmp-widths` the reference site requests, plus full HD for heroes.
+const WIDTHS = [288, 384, 480, 576, 672, 768, 864, 960, 1056, 1152, 1248, 1344, 1920];
+const MODERN_FORMATS = ['avif', 'webp'];
+const ENCODER_OPTIONS = {
+  avif: { quality: 50, effort: 2 },
+  webp: { quality: 75 },
+  jpeg: { quality: 80, mozjpeg: true },
+  png: { compressionLevel: 9 },
+};
+const PLACEHOLDER_WIDTH = 16;
+
+const SOURCE_EXTENSIONS = { '.jpeg': 'jpeg', '.jpg': 'jpeg', '.png': 'png' };
+
+function hashFile(file) {
+  return crypto.createHash('sha1').update(fs.readFileSync(file)).digest('hex').slice(0, 12);
+}
+
+function readManifest() {
+  try {
+    return JSON.parse(fs.readFileSync(MANIFEST, 'utf8'));
+  } catch (error) {
+    return {};
+  }
+}
+
+function widthsFor(sourceWidth) {
+  return [...WIDTHS.filter(width => width < sourceWidth), sourceWidth];
+}
+
+function templateFor(file, format) {
+  return `renditions/${file}{.width}.${format}`;
+}
+
+function outputPath(template, width) {
+  return path.join(ROOT, 'public', template.replace('{.width}', `.${width}`));
+}
+
+function isUpToDate(entry, hash) {
+  return (
+    entry &&
+    entry.hash === hash &&
+    Object.values(entry.formats).every(template =>
+      entry.widths.every(width => fs.existsSync(outputPath(template, width)))
+    )
+  );
+}
+
+async function placeholderFor(file) {
+  const buffer = await sharp(file).resize(PLACEHOLDER_WIDTH).blur().jpeg({ quality: 40 }).toBuffer();
+  return `data:image/jpeg;base64,${buffer.toString('base64')}`;
+}
+
+async function renderImage(file, sourcePath, hash) {
+  const { width, height } = await sharp(sourcePath).metadata();
+  const sourceFormat = SOURCE_EXTENSIONS[path.extname(file).toLowerCase()];
+  const widths = widthsFor(width);
+  const formats = {};
+
+  for (const format of [...MODERN_FORMATS, sourceFormat]) {
+    formats[format] = templateFor(file, format);
+    for (const renditionWidth of widths) {
+      await sharp(sourcePath)
+        .resize(renditionWidth)
+        .toFormat(format, ENCODER_OPTIONS[format])
+        .toFile(outputPath(formats[format], renditionWidth));
+    }
+  }
+
+  return {
+    hash,
+    width,
+    height,
+    widths,
+    formats,
+    placeholder: await placeholderFor(sourcePath),
+  };
+}
+
+async function main() {
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+  const previous = readManifest();
+  const manifest = {};
+  let rendered = 0;
+
+  const files = fs
+    .readdirSync(SOURCE_DIR)
+    .filter(file => path.extname(file).toLowerCase() in SOURCE_EXTENSIONS)
+    .sort();
+
+  for (const file of files) {
+    const sourcePath = path.join(SOURCE_DIR, file);
+    const hash = hashFile(sourcePath);
+    if (isUpToDate(previous[file], hash)) {
+      manifest[file] = previous[file];
+    } else {
+      manifest[file] = await renderImage(file, sourcePath, hash);
+      rendered += 1;
+      console.log(`  ${file}: ${manifest[file].widths.join(', ')}`);
+    }
+  }
+
+  fs.writeFileSync(MANIFEST, `${JSON.stringify(manifest, null, 2)}\n`);
+  console.log(`Renditions: ${rendered} rendered, ${files.length - rendered} up to date.`);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,20 @@
+// Writes public/search-index.json from the site content. Runs before
+// `npm start` and `npm run build`; the app fetches the file the first time
+// the search overlay opens.
+require('./register-babel');
+
+const fs = require('fs');
+const path = require('path');
+const { collectDocuments } = require('../src/search/documents');
+const { SEARCH_INDEX_FILE } = require('../src/search/loadSearchIndex');
+const { buildIndex } = require('../src/search/searchIndex');
+
+const output = path.join(__dirname, '..', 'public', SEARCH_INDEX_FILE);
+const index = buildIndex(collectDocuments());
+const json = JSON.stringify(index);
+
+fs.writeFileSync(output, json);
+console.log(
+  `Search index v${index.version}: ${index.documents.length} documents, ` +
+    `${Object.keys(index.terms).length} terms, ${(json.length / 1024).toFixed(1)} kB -> ${path.relative(process.cwd(), output)}`
+);
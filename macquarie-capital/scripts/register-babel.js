@@ -0,0 +1,10 @@
+// Lets build scripts require the ES module content in src/ with the same
+// Babel preset the app is compiled with.
+process.env.BABEL_ENV = process.env.BABEL_ENV || 'test';
+
+require('@babel/register')({
+  babelrc: false,
+  configFile: false,
+  presets: [['babel-preset-react-app', { runtime: 'automatic' }]],
+  only: [/[\\/]src[\\/]/],
+});
@@ -0,0 +1,79 @@
+// Local endpoint for the Web Vitals beacon (src/analytics/vitals.js), for
+// development only. Keeps every batch in memory, prints p75 per route as
+// batches arrive and serves the summary as JSON on GET. Point the app at it
+// with REACT_APP_VITALS_ENDPOINT=http://localhost:9090/vitals npm start.
+require('./register-babel');
+
+const http = require('http');
+const { checkBatch, summarizeVitals } = require('../src/analytics/vitalsSummary');
+
+const PORT = Number(process.env.PORT) || 9090;
+const PATH = '/vitals';
+
+const batches = [];
+
+function printSummary() {
+  const rows = [];
+  Object.entries(summarizeVitals(batches)).forEach(([route, metrics]) => {
+    Object.entries(metrics).forEach(([name, { p75, count }]) => {
+      rows.push({ route, metric: name, p75: Number(p75.toFixed(name === 'CLS' ? 3 : 0)), count });
+    });
+  });
+  console.table(rows);
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    request.setEncoding('utf8');
+    request.on('data', chunk => {
+      body += chunk;
+    });
+    request.on('end', () => resolve(body));
+    request.on('error', reject);
+  });
+}
+
+const server = http.createServer(async (request, response) => {
+  response.setHeader('Access-Control-Allow-Origin', '*');
+  const { pathname } = new URL(request.url, `http://localhost:${PORT}`);
+  if (pathname !== PATH) {
+    response.writeHead(404).end();
+    return;
+  }
+
+  if (request.method === 'GET') {
+    response.writeHead(200, { 'Content-Type': 'application/json' });
+    response.end(`${JSON.stringify(summarizeVitals(batches), null, 2)}\n`);
+    return;
+  }
+  if (request.method !== 'POST') {
+    response.writeHead(405, { Allow: 'GET, POST' }).end();
+    return;
+  }
+
+  let batch;
+  try {
+    batch = JSON.parse(await readBody(request));
+    checkBatch(batch);
+  } catch (error) {
+    response.writeHead(400, { 'Content-Type': 'text/plain' }).end(`Invalid batch: ${error.message}\n`);
+    return;
+  }
+
+  // A rejected batch is never kept, so the summary only sees valid ones.
+  batches.push(batch);
+  const { route, region, deviceClass, buildVersion } = batch.tags;
+  console.log(`${route} (${region}, ${deviceClass}, ${buildVersion})`);
+  batch.metrics.forEach(({ name, value, rating, attribution }) => {
+    const { element, eventTarget, largestShiftTarget } = attribution || {};
+    const target = element || eventTarget || largestShiftTarget;
+    console.log(`  ${name} ${value} ${rating}${target ? ` at ${target}` : ''}`);
+  });
+  printSummary();
+  response.writeHead(204).end();
+});
+
+server.listen(PORT, () => {
+  console.log(`Web Vitals collector listening on http://localhost:${PORT}${PATH}`);
+});
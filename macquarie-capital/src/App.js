@@ -1,24 +1,82 @@
-import logo from './logo.svg';
+import { useEffect, useMemo, useRef } from 'react';
+import { BrowserRouter, Route, Routes, useLocation } from 'react-router-dom';
+import Footer from './components/Footer';
+import Header from './components/Header';
+import ScriptGate from './components/ScriptGate';
+import { ConsentProvider, useConsentManager } from './context/ConsentContext';
+import { RegionProvider, useRegion } from './context/RegionContext';
+import ArticlePage from './pages/ArticlePage';
+import CapabilityPage from './pages/CapabilityPage';
+import CaseStudyPage from './pages/CaseStudyPage';
+import HomePage from './pages/HomePage';
+import NewsArchivePage from './pages/NewsArchivePage';
+import NewsReleasePage from './pages/NewsReleasePage';
+import NotFoundPage from './pages/NotFoundPage';
+import OurPeoplePage from './pages/OurPeoplePage';
+import PersonStoryPage from './pages/PersonStoryPage';
+import PerspectivesPage from './pages/PerspectivesPage';
+import { CAPABILITY_BASE } from './data/capabilities';
+import { CASE_STUDY_BASE } from './data/caseStudies';
+import { INSIGHT_BASE } from './data/insights';
+import { NEWS_BASE } from './data/news';
+import { PEOPLE_BASE } from './data/people';
+import { thirdPartyScripts } from './data/thirdPartyScripts';
+import { ROUTER_FUTURE } from './router';
 import './App.css';
 
+function RegionalFooter() {
+  const { content } = useRegion();
+  const { openPreferences } = useConsentManager();
+  const actions = useMemo(() => ({ 'manage-cookies': openPreferences }), [openPreferences]);
+  return <Footer config={content.footer} actions={actions} />;
+}
+
+// Client-side navigation keeps the scroll position, so start each new page
+// at the top. Hash links are left for the target (e.g. the Accordion) to
+// scroll into view.
+function ScrollToTop() {
+  const { pathname, hash } = useLocation();
+  const firstRender = useRef(true);
+
+  useEffect(() => {
+    if (firstRender.current) {
+      firstRender.current = false;
+    } else if (!hash) {
+      window.scrollTo(0, 0);
+    }
+  }, [pathname, hash]);
+
+  return null;
+}
+
 function App() {
   return (
-    <div className="App">
-      <header className="App-header">
-        <img src={logo} className="App-logo" alt="logo" />
-        <p>
-          Edit <code>src/App.js</code> and save to reload.
-        </p>
-        <a
-          className="App-link"
-          href="https://reactjs.org"
-          target="_blank"
-          rel="noopener noreferrer"
-        >
-          Learn React
-        </a>
-      </header>
-    </div>
+    <BrowserRouter basename={process.env.PUBLIC_URL} future={ROUTER_FUTURE}>
+      <ConsentProvider>
+        {thirdPartyScripts.map(script => (
+          <ScriptGate key={script.id} {...script} />
+        ))}
+        <RegionProvider>
+          <ScrollToTop />
+          <div className="App">
+            <Header />
+            <Routes>
+              <Route path="/" element={<HomePage />} />
+              <Route path={`${CAPABILITY_BASE}/:slug`} element={<CapabilityPage />} />
+              <Route path={`${CASE_STUDY_BASE}/:slug`} element={<CaseStudyPage />} />
+              <Route path={INSIGHT_BASE} element={<PerspectivesPage />} />
+              <Route path={`${INSIGHT_BASE}/:slug`} element={<ArticlePage />} />
+              <Route path={NEWS_BASE} element={<NewsArchivePage />} />
+              <Route path={`${NEWS_BASE}/:slug`} element={<NewsReleasePage />} />
+              <Route path={PEOPLE_BASE} element={<OurPeoplePage />} />
+              <Route path={`${PEOPLE_BASE}/:slug`} element={<PersonStoryPage />} />
+              <Route path="*" element={<NotFoundPage />} />
+            </Routes>
+            <RegionalFooter />
+          </div>
+        </RegionProvider>
+      </ConsentProvider>
+    </BrowserRouter>
   );
 }
 
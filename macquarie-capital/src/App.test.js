@@ -1,8 +1,36 @@
 import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
 import App from './App';
 
-test('renders learn react link', () => {
+test('renders the Macquarie Capital hero', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByRole('heading', { level: 1, name: 'Macquarie Capital' })).toBeInTheDocument();
+});
+
+test('renders every home page section in reference order', () => {
+  render(<App />);
+  const headings = screen.getAllByRole('heading', { level: 2 }).map(heading => heading.textContent);
+  expect(headings).toEqual([
+    'Connecting ideas and capital',
+    'Our impact',
+    'Our insights',
+    'Discover more of our expertise',
+    'Our services',
+    'Equities sales, research and execution',
+    'Our people',
+    'Recent news',
+  ]);
+});
+
+test('routes impact tiles to their case study pages', () => {
+  const scrollTo = jest.spyOn(window, 'scrollTo').mockImplementation(() => {});
+  render(<App />);
+  userEvent.click(screen.getByRole('link', { name: /Supporting Australia’s hospital of the future/ }));
+
+  expect(window.location.pathname).toBe('/impact/case-studies/supporting-australias-hospital-of-the-future');
+  expect(screen.getByRole('heading', { level: 1, name: 'Supporting Australia’s hospital of the future' })).toBeInTheDocument();
+  expect(scrollTo).toHaveBeenCalledWith(0, 0);
+
+  scrollTo.mockRestore();
+  window.history.replaceState(null, '', '/');
 });
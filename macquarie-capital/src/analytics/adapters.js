@@ -0,0 +1,35 @@
+// Analytics adapters: each one receives every valid event through
+// `send(event, payload)`. track.js picks the defaults per environment.
+import { pushToDataLayer } from './dataLayer';
+
+// Pushes `{ event, ...payload }` for Google Tag Manager. Pushes wait in
+// dataLayer.js's queue until the visitor consents.
+export const dataLayerAdapter = {
+  name: 'dataLayer',
+  send(event, payload) {
+    pushToDataLayer({ event, ...payload });
+  },
+};
+
+// Logs events while developing, so they can be checked without a tag manager.
+export const consoleAdapter = {
+  name: 'console',
+  send(event, payload) {
+    console.info(`[analytics] ${event}`, payload);
+  },
+};
+
+// Keeps events in `events` so tests can assert on them.
+export function createMemoryAdapter() {
+  const events = [];
+  return {
+    name: 'memory',
+    events,
+    send(event, payload) {
+      events.push({ event, payload });
+    },
+    clear() {
+      events.length = 0;
+    },
+  };
+}
@@ -0,0 +1,47 @@
+// Consent-aware wrapper around the Google Tag Manager `dataLayer`. Until
+// ScriptGate releases it (once the visitor allows the tag manager's cookie
+// category), pushes wait in a queue instead of reaching `window.dataLayer`;
+// releasing replays them in order.
+
+// Enough for a long visit before consent; older pushes are dropped first.
+const MAX_QUEUED = 100;
+
+let queue = [];
+let released = false;
+
+export function pushToDataLayer(entry) {
+  if (released) {
+    window.dataLayer.push(entry);
+    return;
+  }
+  queue.push(entry);
+  if (queue.length > MAX_QUEUED) {
+    queue = queue.slice(-MAX_QUEUED);
+  }
+}
+
+/**
+ * Creates `window.dataLayer` with `initial` entries (e.g. the `gtm.start`
+ * event the tag manager snippet expects) followed by every queued push.
+ */
+export function releaseDataLayer(initial = []) {
+  window.dataLayer = window.dataLayer || [];
+  [...initial, ...queue].forEach(entry => window.dataLayer.push(entry));
+  queue = [];
+  released = true;
+}
+
+/**
+ * Stops pushes reaching the tag manager again, e.g. when consent is
+ * withdrawn. Later pushes queue until the next release, and
+ * `window.dataLayer` is deleted so that release starts a new array rather
+ * than feeding the one a tag manager already running is watching.
+ */
+export function holdDataLayer() {
+  released = false;
+  delete window.dataLayer;
+}
+
+export function isDataLayerReleased() {
+  return released;
+}
@@ -0,0 +1,38 @@
+// The standard interaction events and the payload each one carries. track()
+// rejects unknown events, missing or mistyped fields and extra fields, so
+// every adapter (and the tag manager behind the dataLayer one) sees the
+// same shape. Field types are `typeof` names.
+
+/**
+ * @typedef {object} AnalyticsEvents
+ * @property {{ menu: string }} menu_open Top-level navigation item id.
+ * @property {{ id: string, open: boolean }} accordion_toggle Panel id and its new state.
+ * @property {{ label: string, href: string }} cta_click
+ * @property {{ query: string, results: number }} search_query Settled query and result count.
+ * @property {{ tile: string, title: string, href: string }} tile_click Tile component name, e.g. "news".
+ */
+
+export const eventSchemas = {
+  menu_open: { menu: 'string' },
+  accordion_toggle: { id: 'string', open: 'boolean' },
+  cta_click: { label: 'string', href: 'string' },
+  search_query: { query: 'string', results: 'number' },
+  tile_click: { tile: 'string', title: 'string', href: 'string' },
+};
+
+// Returns what is wrong with an event, or nothing when it is valid.
+export function validateEvent(event, payload) {
+  const schema = eventSchemas[event];
+  if (!schema) {
+    return `Unknown analytics event "${event}"`;
+  }
+  const missing = Object.entries(schema).find(([field, type]) => typeof payload[field] !== type);
+  if (missing) {
+    return `"${event}" needs "${missing[0]}" to be a ${missing[1]}, got ${JSON.stringify(payload[missing[0]])}`;
+  }
+  const extra = Object.keys(payload).find(field => !(field in schema));
+  if (extra) {
+    return `"${event}" has an unknown field "${extra}"`;
+  }
+  return undefined;
+}
@@ -0,0 +1,50 @@
+import { consoleAdapter, dataLayerAdapter } from './adapters';
+import { validateEvent } from './events';
+
+// Production sends to the tag manager, development also logs, and tests
+// start with none: install a memory adapter with setAnalyticsAdapters.
+function defaultAdapters() {
+  switch (process.env.NODE_ENV) {
+    case 'production':
+      return [dataLayerAdapter];
+    case 'test':
+      return [];
+    default:
+      return [dataLayerAdapter, consoleAdapter];
+  }
+}
+
+let adapters = defaultAdapters();
+
+/**
+ * Replaces the adapters every event goes to and returns a function that
+ * restores the previous ones.
+ */
+export function setAnalyticsAdapters(next) {
+  const previous = adapters;
+  adapters = next;
+  return () => {
+    adapters = previous;
+  };
+}
+
+/**
+ * Records an interaction with every adapter. `event` is one of the events
+ * in events.js and `payload` must match its schema exactly. Invalid events
+ * throw outside production, where they are a bug to fix; in production
+ * they are dropped so tracking never breaks the page.
+ *
+ * @template {keyof import('./events').AnalyticsEvents} E
+ * @param {E} event
+ * @param {import('./events').AnalyticsEvents[E]} payload
+ */
+export function track(event, payload) {
+  const problem = validateEvent(event, payload || {});
+  if (problem) {
+    if (process.env.NODE_ENV !== 'production') {
+      throw new Error(problem);
+    }
+    return;
+  }
+  adapters.forEach(adapter => adapter.send(event, payload));
+}
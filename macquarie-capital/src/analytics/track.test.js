@@ -0,0 +1,71 @@
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter } from 'react-router-dom';
+import { createMemoryAdapter, dataLayerAdapter } from './adapters';
+import { holdDataLayer, releaseDataLayer } from './dataLayer';
+import { setAnalyticsAdapters, track } from './track';
+import Cta from '../components/Cta';
+import NewsTile from '../components/NewsTile';
+import { ROUTER_FUTURE } from '../router';
+
+let memory;
+let restore;
+
+beforeEach(() => {
+  memory = createMemoryAdapter();
+  restore = setAnalyticsAdapters([memory]);
+});
+
+afterEach(() => {
+  restore();
+  holdDataLayer();
+});
+
+test('sends valid events to every adapter', () => {
+  const other = createMemoryAdapter();
+  const restoreBoth = setAnalyticsAdapters([memory, other]);
+  track('menu_open', { menu: 'impact' });
+  restoreBoth();
+  track('menu_open', { menu: 'careers' });
+
+  expect(memory.events).toEqual([
+    { event: 'menu_open', payload: { menu: 'impact' } },
+    { event: 'menu_open', payload: { menu: 'careers' } },
+  ]);
+  expect(other.events).toEqual([{ event: 'menu_open', payload: { menu: 'impact' } }]);
+});
+
+test('rejects unknown events and payloads that do not match the schema', () => {
+  expect(() => track('page_scroll', {})).toThrow('Unknown analytics event "page_scroll"');
+  expect(() => track('accordion_toggle', { id: 'debt' })).toThrow('needs "open" to be a boolean');
+  expect(() => track('search_query', { query: 'debt', results: '3' })).toThrow('needs "results" to be a number');
+  expect(() => track('cta_click', { label: 'Contact us', href: '/contact', position: 1 })).toThrow(
+    'unknown field "position"'
+  );
+  expect(memory.events).toEqual([]);
+});
+
+test('the dataLayer adapter pushes events once the dataLayer is released', () => {
+  setAnalyticsAdapters([dataLayerAdapter]);
+  track('cta_click', { label: 'Contact us', href: '/contact' });
+  expect(window.dataLayer).toBeUndefined();
+
+  releaseDataLayer();
+  expect(window.dataLayer).toEqual([{ event: 'cta_click', label: 'Contact us', href: '/contact' }]);
+});
+
+test('CTAs and tiles track their clicks', () => {
+  render(
+    <MemoryRouter future={ROUTER_FUTURE}>
+      <Cta label="Contact us" href="/contact" />
+      <NewsTile category="News" title="A new fund" image="images/news.jpg" href="/news/a-new-fund" />
+    </MemoryRouter>
+  );
+  userEvent.click(screen.getByRole('link', { name: 'Contact us' }));
+  userEvent.click(screen.getByRole('link', { name: /A new fund/ }));
+
+  expect(memory.events).toEqual([
+    { event: 'cta_click', payload: { label: 'Contact us', href: '/contact' } },
+    { event: 'tile_click', payload: { tile: 'news', title: 'A new fund', href: '/news/a-new-fund' } },
+  ]);
+});
@@ -0,0 +1,84 @@
+// Batches Web Vitals reports and sends them to a performance endpoint with
+// `navigator.sendBeacon`, falling back to `fetch` with `keepalive` where
+// beacons are unavailable or refused. index.js wires it to
+// reportWebVitals.js when REACT_APP_VITALS_ENDPOINT is set; in development,
+// `npm run vitals-collector` provides one.
+import { initialRegion } from '../context/RegionContext';
+import { attributionData } from '../reportWebVitals';
+
+export const VITALS_ENDPOINT = process.env.REACT_APP_VITALS_ENDPOINT;
+export const BUILD_VERSION = process.env.REACT_APP_BUILD_VERSION || 'development';
+
+// A page load reports about six metrics; a batch never waits for more.
+const MAX_BATCH = 10;
+
+// "mobile" below the site's 768px breakpoint, "tablet" for larger touch
+// screens and "desktop" otherwise.
+export function deviceClass() {
+  const matches = query => Boolean(window.matchMedia && window.matchMedia(query).matches);
+  if (matches('(max-width: 767px)')) {
+    return 'mobile';
+  }
+  return matches('(pointer: coarse)') ? 'tablet' : 'desktop';
+}
+
+/**
+ * Tags sent with every batch. The metrics describe the page load, so the
+ * route and region are the ones the visit started on, not where the
+ * visitor is when the batch is sent.
+ */
+export function vitalsTags() {
+  const basename = process.env.PUBLIC_URL || '';
+  const { pathname } = window.location;
+  return {
+    route: (pathname.startsWith(basename) ? pathname.slice(basename.length) : pathname) || '/',
+    region: initialRegion(),
+    deviceClass: deviceClass(),
+    buildVersion: BUILD_VERSION,
+  };
+}
+
+function send(endpoint, body) {
+  if (navigator.sendBeacon && navigator.sendBeacon(endpoint, body)) {
+    return;
+  }
+  // A plain string body keeps the request CORS-simple, like a beacon.
+  fetch(endpoint, { method: 'POST', body, keepalive: true }).catch(() => {
+    // Reporting must never affect the page.
+  });
+}
+
+/**
+ * Returns `{ report, flush }`. Pass `report` to reportWebVitals: each metric
+ * is queued and the queue is sent as `{ tags, metrics }` once it holds
+ * `maxBatch` metrics or the page is hidden, whichever comes first.
+ */
+export function createVitalsBeacon({ endpoint, tags, maxBatch = MAX_BATCH }) {
+  let metrics = [];
+
+  const flush = () => {
+    if (metrics.length === 0) {
+      return;
+    }
+    send(endpoint, JSON.stringify({ tags, metrics }));
+    metrics = [];
+  };
+
+  const report = metric => {
+    const { name, value, rating, delta, id, navigationType } = metric;
+    metrics.push({ name, value, rating, delta, id, navigationType, attribution: attributionData(metric) });
+    if (metrics.length >= maxBatch) {
+      flush();
+    }
+  };
+
+  // pagehide covers browsers that skip visibilitychange when unloading.
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+      flush();
+    }
+  });
+  window.addEventListener('pagehide', flush);
+
+  return { report, flush };
+}
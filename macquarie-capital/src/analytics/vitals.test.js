@@ -0,0 +1,93 @@
+import { createVitalsBeacon, vitalsTags } from './vitals';
+import { checkBatch, percentile, summarizeVitals } from './vitalsSummary';
+
+const ENDPOINT = 'https://collector.example.com/vitals';
+const tags = { route: '/', region: 'australia', deviceClass: 'desktop', buildVersion: 'test' };
+const metric = (name, value, id = `${name}-1`) => ({
+  name,
+  value,
+  rating: 'good',
+  delta: value,
+  id,
+  entries: [],
+  navigationType: 'navigate',
+  attribution: {},
+});
+
+afterEach(() => {
+  delete navigator.sendBeacon;
+  delete global.fetch;
+  delete window.matchMedia;
+  window.localStorage.clear();
+});
+
+test('sends a batch by beacon once it is full', () => {
+  navigator.sendBeacon = jest.fn(() => true);
+  const { report } = createVitalsBeacon({ endpoint: ENDPOINT, tags, maxBatch: 2 });
+  report(metric('TTFB', 120));
+  expect(navigator.sendBeacon).not.toHaveBeenCalled();
+  report(metric('FCP', 900));
+
+  expect(navigator.sendBeacon).toHaveBeenCalledWith(ENDPOINT, expect.any(String));
+  expect(JSON.parse(navigator.sendBeacon.mock.calls[0][1])).toEqual({
+    tags,
+    metrics: [
+      { name: 'TTFB', value: 120, rating: 'good', delta: 120, id: 'TTFB-1', navigationType: 'navigate', attribution: {} },
+      { name: 'FCP', value: 900, rating: 'good', delta: 900, id: 'FCP-1', navigationType: 'navigate', attribution: {} },
+    ],
+  });
+});
+
+test('flushes when the page is hidden and falls back to fetch when the beacon is refused', () => {
+  navigator.sendBeacon = jest.fn(() => false);
+  global.fetch = jest.fn(() => Promise.resolve({ ok: true }));
+  const { report } = createVitalsBeacon({ endpoint: ENDPOINT, tags });
+  report(metric('CLS', 0.05));
+
+  jest.spyOn(document, 'visibilityState', 'get').mockReturnValue('hidden');
+  document.dispatchEvent(new Event('visibilitychange'));
+  jest.restoreAllMocks();
+
+  expect(global.fetch).toHaveBeenCalledWith(ENDPOINT, expect.objectContaining({ method: 'POST', keepalive: true }));
+  const { metrics } = JSON.parse(global.fetch.mock.calls[0][1].body);
+  expect(metrics).toEqual([expect.objectContaining({ name: 'CLS', value: 0.05 })]);
+});
+
+test('tags reports with the landing route, region, device class and build version', () => {
+  window.history.replaceState(null, '', '/perspectives?region=us');
+  window.matchMedia = jest.fn(query => ({ matches: query === '(max-width: 767px)' }));
+  expect(vitalsTags()).toEqual({
+    route: '/perspectives',
+    region: 'us',
+    deviceClass: 'mobile',
+    buildVersion: 'development',
+  });
+  window.history.replaceState(null, '', '/');
+});
+
+test('summarizes p75 per route and metric, counting each page load once', () => {
+  expect(percentile([400, 100, 300, 200], 75)).toBe(300);
+  expect(percentile([], 75)).toBeUndefined();
+
+  const batches = [
+    { tags, metrics: [metric('LCP', 1800, 'a'), metric('CLS', 0.02, 'b')] },
+    { tags, metrics: [metric('LCP', 2600, 'c'), metric('CLS', 0.3, 'b')] },
+    { tags: { ...tags, route: '/news' }, metrics: [metric('LCP', 3100, 'd')] },
+  ];
+  expect(summarizeVitals(batches)).toEqual({
+    '/': { LCP: { p75: 2600, count: 2 }, CLS: { p75: 0.3, count: 1 } },
+    '/news': { LCP: { p75: 3100, count: 1 } },
+  });
+});
+
+test('rejects batches the summary cannot use', () => {
+  expect(() => checkBatch({ tags, metrics: [metric('LCP', 1800)] })).not.toThrow();
+  expect(() => checkBatch(null)).toThrow('expected { tags, metrics }');
+  expect(() => checkBatch({ tags: {}, metrics: [] })).toThrow('expected a string tags.route');
+  expect(() => checkBatch({ tags: { route: '/' }, metrics: [{ name: 'LCP', value: null, id: 'a' }] })).toThrow(
+    'metrics[0] needs a string name and id and a numeric value'
+  );
+  expect(() => checkBatch({ tags, metrics: [metric('CLS', 0.1), { ...metric('LCP', 1800), id: 7 }] })).toThrow(
+    'metrics[1]'
+  );
+});
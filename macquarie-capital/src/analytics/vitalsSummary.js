@@ -0,0 +1,59 @@
+// Aggregates batches sent by vitals.js into p75 values per route, the
+// figure Core Web Vitals are judged on. Used by scripts/vitals-collector.js.
+
+// Nearest-rank percentile of unsorted `values`; undefined when empty.
+export function percentile(values, p) {
+  if (values.length === 0) {
+    return undefined;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+/**
+ * Throws unless `batch` is a `{ tags, metrics }` object summarizeVitals()
+ * can use: a string route and metrics with a string `name` and `id` and a
+ * numeric `value`. The collector checks each batch before keeping it.
+ */
+export function checkBatch(batch) {
+  if (!batch || !batch.tags || !Array.isArray(batch.metrics)) {
+    throw new Error('expected { tags, metrics }');
+  }
+  if (typeof batch.tags.route !== 'string') {
+    throw new Error('expected a string tags.route');
+  }
+  batch.metrics.forEach((metric, position) => {
+    const { name, id, value } = metric || {};
+    if (typeof name !== 'string' || typeof id !== 'string' || typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new Error(`metrics[${position}] needs a string name and id and a numeric value`);
+    }
+  });
+}
+
+/**
+ * `{ [route]: { [metric]: { p75, count } } }` for every `{ tags, metrics }`
+ * batch. A metric reported more than once for a page load (same `id`)
+ * counts once, with its latest value.
+ */
+export function summarizeVitals(batches) {
+  const values = {};
+  batches.forEach(({ tags, metrics }) => {
+    metrics.forEach(metric => {
+      const byName = values[tags.route] || (values[tags.route] = {});
+      const byId = byName[metric.name] || (byName[metric.name] = new Map());
+      byId.set(metric.id, metric.value);
+    });
+  });
+
+  return Object.fromEntries(
+    Object.entries(values).map(([route, byName]) => [
+      route,
+      Object.fromEntries(
+        Object.entries(byName).map(([name, byId]) => {
+          const all = Array.from(byId.values());
+          return [name, { p75: percentile(all, 75), count: all.length }];
+        })
+      ),
+    ])
+  );
+}
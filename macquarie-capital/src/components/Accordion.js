@@ -0,0 +1,131 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { track } from '../analytics/track';
+import './Accordion.css';
+
+function hashId() {
+  return decodeURIComponent(window.location.hash.slice(1));
+}
+
+function replaceHash(id) {
+  const { pathname, search } = window.location;
+  window.history.replaceState(window.history.state, '', `${pathname}${search}${id ? `#${id}` : ''}`);
+}
+
+/**
+ * Accordion following the WAI-ARIA accordion pattern, with the reference
+ * `cmp-accordion` markup. Items are `{ id, title, content }`.
+ *
+ * Only one panel is open at a time unless `multiple` is set. With
+ * `deepLink`, opening a panel writes its id to the URL hash, and a hash
+ * naming a panel (on load or later) opens it and scrolls it into view.
+ */
+function Accordion({ items, multiple = false, deepLink = false, headingLevel = 3 }) {
+  const [openIds, setOpenIds] = useState(() => {
+    const id = deepLink ? hashId() : '';
+    return items.some(item => item.id === id) ? [id] : [];
+  });
+  const itemRefs = useRef({});
+  const buttonRefs = useRef([]);
+  const Heading = `h${headingLevel}`;
+
+  const reveal = useCallback(id => {
+    const element = itemRefs.current[id];
+    if (element && typeof element.scrollIntoView === 'function') {
+      element.scrollIntoView({ block: 'start' });
+    }
+  }, []);
+
+  // Scroll to a panel named in the hash on first render only; re-renders
+  // with fresh `items` must not jump the page.
+  const initialId = useRef(deepLink ? hashId() : '');
+  useEffect(() => {
+    reveal(initialId.current);
+  }, [reveal]);
+
+  const ids = items.map(item => item.id).join(' ');
+  useEffect(() => {
+    if (!deepLink) {
+      return undefined;
+    }
+    const onHashChange = () => {
+      const id = hashId();
+      if (ids.split(' ').includes(id)) {
+        setOpenIds(current => (multiple ? Array.from(new Set([...current, id])) : [id]));
+        reveal(id);
+      }
+    };
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, [deepLink, ids, multiple, reveal]);
+
+  const toggle = id => {
+    const opening = !openIds.includes(id);
+    if (opening) {
+      setOpenIds(multiple ? [...openIds, id] : [id]);
+    } else {
+      setOpenIds(openIds.filter(openId => openId !== id));
+    }
+    track('accordion_toggle', { id, open: opening });
+    if (deepLink && (opening || hashId() === id)) {
+      replaceHash(opening ? id : '');
+    }
+  };
+
+  const onKeyDown = (event, index) => {
+    const last = items.length - 1;
+    const target = {
+      ArrowDown: index === last ? 0 : index + 1,
+      ArrowUp: index === 0 ? last : index - 1,
+      Home: 0,
+      End: last,
+    }[event.key];
+    if (target !== undefined) {
+      event.preventDefault();
+      buttonRefs.current[target].focus();
+    }
+  };
+
+  return (
+    <div className="cmp-accordion">
+      {items.map((item, index) => {
+        const open = openIds.includes(item.id);
+        const buttonId = `${item.id}-button`;
+        const panelId = `${item.id}-panel`;
+        return (
+          <div
+            className="cmp-accordion__item"
+            id={deepLink ? item.id : undefined}
+            key={item.id}
+            ref={element => (itemRefs.current[item.id] = element)}
+          >
+            <Heading className="cmp-accordion__header">
+              <button
+                type="button"
+                id={buttonId}
+                className="cmp-accordion__button"
+                aria-expanded={open}
+                aria-controls={panelId}
+                ref={element => (buttonRefs.current[index] = element)}
+                onClick={() => toggle(item.id)}
+                onKeyDown={event => onKeyDown(event, index)}
+              >
+                <span className="cmp-accordion__title">{item.title}</span>
+                <span className="cmp-accordion__icon" aria-hidden="true" />
+              </button>
+            </Heading>
+            <div
+              id={panelId}
+              role="region"
+              aria-labelledby={buttonId}
+              className={`cmp-accordion__panel${open ? '' : ' cmp-accordion__panel--hidden'}`}
+            >
+              <div className="cmp-accordion__panel-inner">{item.content}</div>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default Accordion;
@@ -0,0 +1,100 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import Accordion from './Accordion';
+import { createMemoryAdapter } from '../analytics/adapters';
+import { setAnalyticsAdapters } from '../analytics/track';
+
+const items = [
+  { id: 'equity-capital-markets', title: 'Equity Capital Markets', content: <p>Equity panel</p> },
+  { id: 'debt-capital-markets', title: 'Debt Capital Markets', content: <p>Debt panel</p> },
+  { id: 'equities-brokerage', title: 'Equities Brokerage', content: <p>Brokerage panel</p> },
+];
+
+const button = name => screen.getByRole('button', { name });
+
+afterEach(() => {
+  window.history.replaceState(null, '', '/');
+});
+
+test('opens one panel at a time by default', () => {
+  render(<Accordion items={items} />);
+  const equity = button('Equity Capital Markets');
+  const debt = button('Debt Capital Markets');
+
+  expect(equity).toHaveAttribute('aria-expanded', 'false');
+  userEvent.click(equity);
+  expect(equity).toHaveAttribute('aria-expanded', 'true');
+  expect(screen.getByRole('region', { name: 'Equity Capital Markets' })).toHaveTextContent('Equity panel');
+
+  userEvent.click(debt);
+  expect(equity).toHaveAttribute('aria-expanded', 'false');
+  expect(debt).toHaveAttribute('aria-expanded', 'true');
+  expect(debt).toHaveAttribute('aria-controls', 'debt-capital-markets-panel');
+});
+
+test('keeps several panels open in multiple mode', () => {
+  render(<Accordion items={items} multiple />);
+  userEvent.click(button('Equity Capital Markets'));
+  userEvent.click(button('Debt Capital Markets'));
+  expect(button('Equity Capital Markets')).toHaveAttribute('aria-expanded', 'true');
+  expect(button('Debt Capital Markets')).toHaveAttribute('aria-expanded', 'true');
+
+  userEvent.click(button('Equity Capital Markets'));
+  expect(button('Equity Capital Markets')).toHaveAttribute('aria-expanded', 'false');
+});
+
+test('moves focus between headers with the arrow, Home and End keys', () => {
+  render(<Accordion items={items} />);
+  button('Equity Capital Markets').focus();
+
+  userEvent.keyboard('{ArrowDown}');
+  expect(button('Debt Capital Markets')).toHaveFocus();
+  userEvent.keyboard('{End}');
+  expect(button('Equities Brokerage')).toHaveFocus();
+  userEvent.keyboard('{ArrowDown}');
+  expect(button('Equity Capital Markets')).toHaveFocus();
+  userEvent.keyboard('{ArrowUp}');
+  expect(button('Equities Brokerage')).toHaveFocus();
+  userEvent.keyboard('{Home}');
+  expect(button('Equity Capital Markets')).toHaveFocus();
+});
+
+test('mirrors the open panel in the URL hash when deep linking', () => {
+  render(<Accordion items={items} deepLink />);
+
+  userEvent.click(button('Debt Capital Markets'));
+  expect(window.location.hash).toBe('#debt-capital-markets');
+  userEvent.click(button('Debt Capital Markets'));
+  expect(window.location.hash).toBe('');
+});
+
+test('opens and scrolls to the panel named in the hash', () => {
+  const scrollIntoView = jest.fn();
+  window.HTMLElement.prototype.scrollIntoView = scrollIntoView;
+  window.history.replaceState(null, '', '/#debt-capital-markets');
+
+  render(<Accordion items={items} deepLink />);
+  expect(button('Debt Capital Markets')).toHaveAttribute('aria-expanded', 'true');
+  expect(scrollIntoView).toHaveBeenCalledTimes(1);
+
+  window.history.replaceState(null, '', '/#equities-brokerage');
+  fireEvent(window, new HashChangeEvent('hashchange'));
+  expect(button('Equities Brokerage')).toHaveAttribute('aria-expanded', 'true');
+  expect(button('Debt Capital Markets')).toHaveAttribute('aria-expanded', 'false');
+  expect(scrollIntoView).toHaveBeenCalledTimes(2);
+
+  delete window.HTMLElement.prototype.scrollIntoView;
+});
+
+test('tracks accordion_toggle with the panel id and its new state', () => {
+  const memory = createMemoryAdapter();
+  const restore = setAnalyticsAdapters([memory]);
+  render(<Accordion items={items} />);
+  userEvent.click(button('Debt Capital Markets'));
+  userEvent.click(button('Debt Capital Markets'));
+  restore();
+  expect(memory.events).toEqual([
+    { event: 'accordion_toggle', payload: { id: 'debt-capital-markets', open: true } },
+    { event: 'accordion_toggle', payload: { id: 'debt-capital-markets', open: false } },
+  ]);
+});
@@ -0,0 +1,31 @@
+import { forwardRef } from 'react';
+import { Link, useLocation } from 'react-router-dom';
+
+/**
+ * Link that routes site-relative hrefs ("/perspectives") client-side and
+ * renders anything else (other sites, mailto:, in-page #hashes) as a plain
+ * anchor. Other props, and a ref to the anchor, are passed through.
+ *
+ * A site-relative href to a hash on the current page ("/#debt-capital-markets"
+ * while on "/") also renders a plain "#hash" anchor: router navigation does
+ * not fire `hashchange`, which deep-linked panels listen for.
+ */
+const AppLink = forwardRef(function AppLink({ href, children, ...props }, ref) {
+  const { pathname } = useLocation();
+  const hashAt = href.indexOf('#');
+  const samePage = hashAt > 0 && href.slice(0, hashAt) === pathname;
+  if (href.startsWith('/') && !samePage) {
+    return (
+      <Link to={href} ref={ref} {...props}>
+        {children}
+      </Link>
+    );
+  }
+  return (
+    <a href={samePage ? href.slice(hashAt) : href} ref={ref} {...props}>
+      {children}
+    </a>
+  );
+});
+
+export default AppLink;
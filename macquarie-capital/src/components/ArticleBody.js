@@ -0,0 +1,32 @@
+import PullQuote from './PullQuote';
+
+// Renders one block compiled by src/content/markdown.js. The HTML comes
+// from our own Markdown at build time, never from user input.
+function ArticleBlock({ block }) {
+  switch (block.type) {
+    case 'heading': {
+      const Heading = `h${block.depth}`;
+      return <Heading id={block.id}>{block.text}</Heading>;
+    }
+    case 'quote':
+      return <PullQuote text={block.text} attribution={block.attribution} />;
+    default:
+      return <div dangerouslySetInnerHTML={{ __html: block.html }} />;
+  }
+}
+
+/**
+ * Body of a Markdown content entry. Extra props (className, aria-label)
+ * go on the wrapping `<article>`.
+ */
+function ArticleBody({ blocks, ...props }) {
+  return (
+    <article {...props}>
+      {blocks.map((block, index) => (
+        <ArticleBlock key={block.id || index} block={block} />
+      ))}
+    </article>
+  );
+}
+
+export default ArticleBody;
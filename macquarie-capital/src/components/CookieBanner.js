@@ -0,0 +1,32 @@
+import { useConsentManager } from '../context/ConsentContext';
+import { consentCopy } from '../data/consent';
+import './CookieBanner.css';
+
+// First-visit banner shown by ConsentProvider until a choice is stored.
+function CookieBanner() {
+  const { acceptAll, rejectAll, openPreferences } = useConsentManager();
+  const { banner, policy } = consentCopy;
+
+  return (
+    <section className="cmp-cookie-banner" aria-label={banner.label}>
+      <div className="cmp-cookie-banner__container">
+        <p className="cmp-cookie-banner__text">
+          {banner.text} <a href={policy.href}>{policy.label}</a>
+        </p>
+        <div className="cmp-cookie-banner__actions">
+          <button type="button" className="cmp-consent-button cmp-consent-button--primary" onClick={acceptAll}>
+            Accept all cookies
+          </button>
+          <button type="button" className="cmp-consent-button cmp-consent-button--primary" onClick={rejectAll}>
+            Reject optional cookies
+          </button>
+          <button type="button" className="cmp-consent-button" onClick={openPreferences}>
+            Cookie settings
+          </button>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+export default CookieBanner;
@@ -0,0 +1,15 @@
+import AppLink from './AppLink';
+import { useTrackedClick } from '../hooks/useTracking';
+import './Cta.css';
+
+function Cta({ label, href }) {
+  const onClick = useTrackedClick('cta_click', { label, href });
+
+  return (
+    <AppLink className="cmp-cta cmp-cta--primary" href={href} onClick={onClick}>
+      <span className="cmp-cta__text">{label}</span>
+    </AppLink>
+  );
+}
+
+export default Cta;
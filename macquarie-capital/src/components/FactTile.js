@@ -0,0 +1,49 @@
+import { useRef } from 'react';
+import Cta from './Cta';
+import { useCountUp } from '../hooks/useCountUp';
+import { asset } from '../utils/asset';
+import { formatFactHeading, parseFactHeading } from '../utils/factHeading';
+import './FactTile.css';
+
+// Screen readers only ever get the final heading; the counting copy is
+// hidden from them.
+function FactHeading({ text }) {
+  const ref = useRef(null);
+  const parsed = parseFactHeading(text);
+  const value = useCountUp(ref, parsed ? parsed.value : null);
+
+  return (
+    <span className="cmp-tile-fact__heading-text" ref={ref}>
+      {parsed ? (
+        <>
+          <span className="sr-only">{text}</span>
+          <span aria-hidden="true">{formatFactHeading(parsed, value)}</span>
+        </>
+      ) : (
+        text
+      )}
+    </span>
+  );
+}
+
+function FactTile({ icon, heading, description, footnote, cta }) {
+  return (
+    <div className="cmp-tile-fact">
+      {icon && <img className="cmp-tile-fact__icon" src={asset(icon)} alt="" width="48" height="48" />}
+      <p className="cmp-tile-fact__heading">
+        <FactHeading text={heading} />
+      </p>
+      <p className="cmp-tile-fact__description p2">
+        {description}
+        {footnote && <sup className="cmp-tile-fact__footnote">{footnote}</sup>}
+      </p>
+      {cta && (
+        <div className="cmp-tile-fact__cta">
+          <Cta {...cta} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default FactTile;
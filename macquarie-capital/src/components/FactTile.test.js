@@ -0,0 +1,78 @@
+import { act, render, screen } from '@testing-library/react';
+import FactTile from './FactTile';
+import { formatFactHeading, parseFactHeading } from '../utils/factHeading';
+
+describe('parseFactHeading', () => {
+  test.each([
+    ['$A457 billion', { prefix: '$A', value: 457, suffix: ' billion' }],
+    ['No. 1 in ANZ', { prefix: 'No. ', value: 1, suffix: ' in ANZ' }],
+    ['No.1 ANZ', { prefix: 'No.', value: 1, suffix: ' ANZ' }],
+    ['21st', { prefix: '', value: 21, suffix: 'st' }],
+    ['$A1,250.5m', { prefix: '$A', value: 1250.5, decimals: 1, grouped: true, suffix: 'm' }],
+  ])('splits %s around its number', (text, expected) => {
+    const parsed = parseFactHeading(text);
+    expect(parsed).toMatchObject(expected);
+    expect(formatFactHeading(parsed, parsed.value)).toBe(text);
+  });
+
+  test('leaves headings without a number alone', () => {
+    expect(parseFactHeading('Technology-enabled innovation')).toBeNull();
+  });
+});
+
+describe('FactTile', () => {
+  let observers;
+  let frames;
+
+  beforeEach(() => {
+    observers = [];
+    frames = [];
+    window.IntersectionObserver = jest.fn(function IntersectionObserver(callback) {
+      this.observe = jest.fn();
+      this.disconnect = jest.fn();
+      observers.push(callback);
+    });
+    window.matchMedia = jest.fn(() => ({ matches: false }));
+    jest.spyOn(window, 'requestAnimationFrame').mockImplementation(callback => frames.push(callback));
+    jest.spyOn(window, 'cancelAnimationFrame').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete window.IntersectionObserver;
+    delete window.matchMedia;
+    jest.restoreAllMocks();
+  });
+
+  const runFrame = time => act(() => frames.shift()(time));
+
+  test('counts up once scrolled into view', () => {
+    render(<FactTile heading="$A457 billion" description="worth of transactions" />);
+    expect(screen.getByText('$A0 billion')).toHaveAttribute('aria-hidden', 'true');
+
+    act(() => observers[0]([{ isIntersecting: true }]));
+    runFrame(0);
+    runFrame(750);
+    const midway = screen.getByText(/^\$A\d+ billion$/, { ignore: '.sr-only' });
+    expect(Number(midway.textContent.match(/\d+/)[0])).toBeGreaterThan(300);
+    runFrame(1500);
+    expect(screen.getByText('$A457 billion', { ignore: '.sr-only' })).toBeInTheDocument();
+    expect(frames).toHaveLength(0);
+  });
+
+  test('always exposes the final value to screen readers', () => {
+    render(<FactTile heading="No. 1 in ANZ" description="for M&A" />);
+    expect(screen.getByText('No. 1 in ANZ', { selector: '.sr-only' })).toBeInTheDocument();
+  });
+
+  test('shows the final value straight away when reduced motion is preferred', () => {
+    window.matchMedia.mockReturnValue({ matches: true });
+    render(<FactTile heading="$A457 billion" description="worth of transactions" />);
+    expect(screen.getByText('$A457 billion', { ignore: '.sr-only' })).toBeInTheDocument();
+    expect(window.IntersectionObserver).not.toHaveBeenCalled();
+  });
+
+  test('renders text headings unchanged', () => {
+    render(<FactTile heading="Evolving infrastructure" description="Explore our expertise." />);
+    expect(screen.getByText('Evolving infrastructure')).toHaveClass('cmp-tile-fact__heading-text');
+  });
+});
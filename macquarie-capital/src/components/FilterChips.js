@@ -0,0 +1,36 @@
+import './FilterChips.css';
+
+/**
+ * Multi-select toggle chips. `options` are `{ value, label }`; `selected`
+ * is the array of chosen values and `onChange` receives the next array,
+ * kept in option order. Each chip is a toggle button (`aria-pressed`).
+ */
+function FilterChips({ label, options, selected, onChange }) {
+  const toggle = value => {
+    const next = selected.includes(value) ? selected.filter(item => item !== value) : [...selected, value];
+    onChange(options.map(option => option.value).filter(item => next.includes(item)));
+  };
+
+  return (
+    <div className="cmp-filter-chips" role="group" aria-label={label}>
+      {options.map(option => (
+        <button
+          type="button"
+          key={option.value}
+          className="cmp-filter-chips__chip"
+          aria-pressed={selected.includes(option.value)}
+          onClick={() => toggle(option.value)}
+        >
+          {option.label}
+        </button>
+      ))}
+      {selected.length > 0 && (
+        <button type="button" className="cmp-filter-chips__clear" onClick={() => onChange([])}>
+          Clear all
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default FilterChips;
@@ -0,0 +1,78 @@
+import './Footer.css';
+
+function FooterLink({ label, href, external, ...props }) {
+  return (
+    <a href={href} {...(external && { target: '_blank', rel: 'noopener noreferrer' })} {...props}>
+      {label}
+      {external && <span className="sr-only"> (opens in a new window)</span>}
+    </a>
+  );
+}
+
+/**
+ * Site footer matching the reference `footer-v2`, rendered entirely from a
+ * footer `config` (see data/footer.js); the region bundles supply one with
+ * their own disclaimer. The copyright year is always the current one.
+ *
+ * Sub-nav items with an `action` call the matching handler in `actions`
+ * (e.g. `{ 'manage-cookies': openPreferences }`) and are left out when no
+ * handler is given.
+ */
+function Footer({ config, actions = {} }) {
+  const { disclaimer, social, nav, copyrightHolder, subNav } = config;
+  const year = new Date().getFullYear();
+
+  return (
+    <footer className="footer-v2">
+      <div className="footer-v2__container">
+        <div className="footer-v2__disclaimer-container">
+          <p className="footer-v2__header p3">{disclaimer.heading}</p>
+          <p className="footer-v2__text p3">{disclaimer.text}</p>
+        </div>
+        <div className="footer-v2__social-nav-container">
+          <p className="footer-v2__social-links-label p3" id="footer-social-label">
+            {social.label}
+          </p>
+          <ul className="footer-v2__social-links" aria-labelledby="footer-social-label">
+            {social.links.map(link => (
+              <li className="footer-v2__social-links-item" key={link.href}>
+                <FooterLink {...link} />
+              </li>
+            ))}
+          </ul>
+          <ul className="footer-v2__nav-links p3">
+            {nav.map(link => (
+              <li className="footer-v2__nav-links-item" key={link.href}>
+                <FooterLink {...link} />
+              </li>
+            ))}
+          </ul>
+        </div>
+        <div className="footer-v2__sub-nav-container">
+          <p className="footer-v2__copyright">
+            © {year} {copyrightHolder}
+          </p>
+          <ul className="footer-v2__sub-nav-links">
+            {subNav
+              .filter(item => !item.action || actions[item.action])
+              .map(item =>
+                item.action ? (
+                  <li className={`footer-v2__sub-nav-links-item footer-v2__${item.action}`} key={item.action}>
+                    <button type="button" className="footer-v2__action" onClick={actions[item.action]}>
+                      {item.label}
+                    </button>
+                  </li>
+                ) : (
+                  <li className="footer-v2__sub-nav-links-item" key={item.href}>
+                    <FooterLink {...item} />
+                  </li>
+                )
+              )}
+          </ul>
+        </div>
+      </div>
+    </footer>
+  );
+}
+
+export default Footer;
@@ -0,0 +1,37 @@
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import Footer from './Footer';
+import { footer } from '../data/footer';
+import { footer as ukFooter } from '../data/regions/uk';
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('renders the disclaimer, social, nav and sub-nav links from the config', () => {
+  render(<Footer config={ukFooter} />);
+
+  expect(screen.getByText(/authorised and regulated by the Financial Conduct Authority/)).toBeInTheDocument();
+  const social = screen.getByRole('list', { name: 'Follow us' });
+  expect(within(social).getAllByRole('link')).toHaveLength(footer.social.links.length);
+  expect(within(social).getByRole('link', { name: 'LinkedIn (opens in a new window)' })).toHaveAttribute('target', '_blank');
+  expect(screen.getByRole('link', { name: 'Discover' })).not.toHaveAttribute('target');
+  expect(screen.getByRole('link', { name: 'Sitemap' })).toHaveAttribute('href', 'https://www.macquarie.com/au/en/sitemap.html');
+});
+
+test('shows the current year in the copyright notice', () => {
+  jest.useFakeTimers().setSystemTime(new Date('2031-06-30T12:00:00Z'));
+  render(<Footer config={footer} />);
+  expect(screen.getByText('© 2031 Macquarie Group Limited')).toHaveClass('footer-v2__copyright');
+});
+
+test('wires "Manage cookie settings" to its action, and hides it without one', () => {
+  const openPreferences = jest.fn();
+  const { rerender } = render(<Footer config={footer} actions={{ 'manage-cookies': openPreferences }} />);
+
+  userEvent.click(screen.getByRole('button', { name: 'Manage cookie settings' }));
+  expect(openPreferences).toHaveBeenCalledTimes(1);
+
+  rerender(<Footer config={footer} />);
+  expect(screen.queryByRole('button', { name: 'Manage cookie settings' })).not.toBeInTheDocument();
+});
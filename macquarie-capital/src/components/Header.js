@@ -0,0 +1,50 @@
+import { useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import MegaMenu from './MegaMenu';
+import RegionSwitcher from './RegionSwitcher';
+import SearchOverlay from './SearchOverlay';
+import navigation from '../data/navigation';
+import { asset } from '../utils/asset';
+import './Header.css';
+
+function Header() {
+  const [searchOpen, setSearchOpen] = useState(false);
+  const searchTriggerRef = useRef(null);
+
+  const closeSearch = () => {
+    setSearchOpen(false);
+    searchTriggerRef.current.focus();
+  };
+
+  return (
+    <header className="header">
+      <div className="header__container">
+        <Link className="header__logo-link" to="/">
+          <img
+            className="header__logo"
+            src={asset('images/macquarie-logo.svg')}
+            alt="Macquarie"
+            width="140"
+            height="28"
+          />
+        </Link>
+        <MegaMenu items={navigation.items} />
+        <RegionSwitcher />
+        <button
+          type="button"
+          className="search__icon-container"
+          aria-expanded={searchOpen}
+          aria-controls="search-panel"
+          ref={searchTriggerRef}
+          onClick={() => (searchOpen ? closeSearch() : setSearchOpen(true))}
+        >
+          <span className="search__icon-label">Search</span>
+          <span className="icon-search search__icon-search--nav" aria-hidden="true" />
+        </button>
+      </div>
+      <SearchOverlay open={searchOpen} onClose={closeSearch} />
+    </header>
+  );
+}
+
+export default Header;
@@ -0,0 +1,63 @@
+import { useId } from 'react';
+import Cta from './Cta';
+import ResponsiveImage from './ResponsiveImage';
+import './Hero.css';
+
+/**
+ * Page hero matching the reference `cmp-general-hero`. `mobileImage` is
+ * art-directed in below 768px; the frame reserves its height up front, so
+ * the image loading in never shifts the content below it.
+ *
+ * Use `variant="compact"` on inner pages and `gradient` when the heading
+ * sits on a busy part of the image.
+ */
+function Hero({
+  category,
+  heading,
+  subheading,
+  cta,
+  image,
+  mobileImage,
+  alt = '',
+  gradient = false,
+  variant = 'default',
+  children,
+}) {
+  const headingId = useId();
+  const className = [
+    'cmp-general-hero',
+    `cmp-general-hero--${variant}`,
+    image ? 'cmp-general-hero--image' : 'cmp-general-hero--plain',
+    gradient && 'cmp-general-hero--gradient',
+  ]
+    .filter(Boolean)
+    .join(' ');
+
+  return (
+    <section className={className} aria-labelledby={headingId}>
+      {image && (
+        <ResponsiveImage
+          className="cmp-general-hero__image"
+          src={image}
+          alt={alt}
+          sources={mobileImage ? [{ media: '(max-width: 767px)', src: mobileImage }] : []}
+          fill
+          lazy={false}
+        />
+      )}
+      <div className="cmp-general-hero__content">
+        {category && <p className="cmp-general-hero__category p2">{category}</p>}
+        <h1 className="cmp-general-hero__heading" id={headingId}>{heading}</h1>
+        {subheading && <p className="cmp-general-hero__subheading">{subheading}</p>}
+        {cta && (
+          <div className="cmp-general-hero__cta">
+            <Cta {...cta} />
+          </div>
+        )}
+        {children}
+      </div>
+    </section>
+  );
+}
+
+export default Hero;
@@ -0,0 +1,35 @@
+import { render, screen } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import Hero from './Hero';
+import { ROUTER_FUTURE } from '../router';
+
+test('art-directs the mobile image and fills every slot', () => {
+  const { container } = render(
+    <MemoryRouter future={ROUTER_FUTURE}>
+      <Hero
+        category="Company"
+        heading="Macquarie Capital"
+        subheading="Connecting ideas and capital"
+        cta={{ label: 'Learn more', href: '/about' }}
+        image="images/desktop.jpeg"
+        mobileImage="images/mobile.png"
+        alt="Sydney skyline"
+        gradient
+      />
+    </MemoryRouter>
+  );
+
+  const image = screen.getByRole('img', { name: 'Sydney skyline' });
+  expect(image).toHaveAttribute('src', '/images/desktop.jpeg');
+  expect(container).toContainHTML('<source media="(max-width: 767px)" srcset="/images/mobile.png">');
+  expect(screen.getByRole('region', { name: 'Macquarie Capital' })).toHaveClass('cmp-general-hero--gradient');
+  expect(screen.getByRole('heading', { level: 1 })).toHaveTextContent('Macquarie Capital');
+  expect(screen.getByText('Connecting ideas and capital')).toHaveClass('cmp-general-hero__subheading');
+  expect(screen.getByRole('link', { name: 'Learn more' })).toHaveAttribute('href', '/about');
+});
+
+test('renders the compact variant without optional slots', () => {
+  render(<Hero heading="Equities" image="images/equities.jpeg" variant="compact" />);
+  expect(screen.getByRole('region', { name: 'Equities' })).toHaveClass('cmp-general-hero--compact');
+  expect(screen.queryByRole('link')).not.toBeInTheDocument();
+});
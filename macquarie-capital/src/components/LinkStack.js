@@ -0,0 +1,30 @@
+import AppLink from './AppLink';
+import './LinkStack.css';
+
+/**
+ * Stack of large arrow links matching the reference `cmp-link-stack`, used
+ * for "Explore our capabilities". `links` are `{ label, href }`; each label
+ * is a heading at `headingLevel` so screen reader users can jump between
+ * them.
+ */
+function LinkStack({ heading, links, headingLevel = 3 }) {
+  const Label = `h${headingLevel}`;
+
+  return (
+    <nav className="cmp-link-stack" aria-label={heading}>
+      <div className="cmp-link-stack__container">
+        {heading && <p className="cmp-link-stack__heading p2">{heading}</p>}
+        <div>
+          {links.map(link => (
+            <AppLink className="cmp-link-stack__link" href={link.href} key={link.href}>
+              <Label className="cmp-link-stack__label">{link.label}</Label>
+              <span className="cmp-link-stack__icon icon-arrow-right" aria-hidden="true" />
+            </AppLink>
+          ))}
+        </div>
+      </div>
+    </nav>
+  );
+}
+
+export default LinkStack;
@@ -0,0 +1,19 @@
+import { render, screen, within } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import LinkStack from './LinkStack';
+import { capabilityLinks } from '../data/capabilities';
+import { ROUTER_FUTURE } from '../router';
+
+test('renders each capability as a labelled arrow link', () => {
+  render(
+    <MemoryRouter future={ROUTER_FUTURE}>
+      <LinkStack heading="Explore our capabilities" links={capabilityLinks()} />
+    </MemoryRouter>
+  );
+
+  const stack = screen.getByRole('navigation', { name: 'Explore our capabilities' });
+  const links = within(stack).getAllByRole('link');
+  expect(links.map(link => link.textContent)).toEqual(['Manage', 'Develop', 'Advise', 'Finance', 'Trade']);
+  expect(links[2]).toHaveAttribute('href', '/impact/advise');
+  expect(within(links[2]).getByRole('heading', { level: 3, name: 'Advise' })).toHaveClass('cmp-link-stack__label');
+});
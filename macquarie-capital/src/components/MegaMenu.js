@@ -0,0 +1,225 @@
+import { useEffect, useRef, useState } from 'react';
+import AppLink from './AppLink';
+import { useTrackWhen } from '../hooks/useTracking';
+import './MegaMenu.css';
+
+function SubmenuLink({ label, href, external }) {
+  return (
+    <AppLink
+      className="submenu__link"
+      href={href}
+      {...(external && { target: '_blank', rel: 'noopener noreferrer' })}
+    >
+      {label}
+      {external && (
+        <span className="icon-external-link icon--small">
+          <span className="sr-only"> (opens in a new window)</span>
+        </span>
+      )}
+    </AppLink>
+  );
+}
+
+function Submenu({ item }) {
+  const className = item.description ? 'submenu submenu--with-description' : 'submenu';
+
+  return (
+    <ul className={className} aria-label={item.label}>
+      {item.description && (
+        <li className="submenu__group">
+          <p className="submenu__heading">{item.label}</p>
+          <p className="submenu__description">{item.description}</p>
+          {item.overview && <SubmenuLink {...item.overview} />}
+        </li>
+      )}
+      {item.groups.map((group, index) => (
+        <li className="submenu__group" key={group.heading || index}>
+          {group.heading && <p className="submenu__group-heading">{group.heading}</p>}
+          {group.description && <p className="submenu__group-description p2">{group.description}</p>}
+          <ul className="submenu__list">
+            {group.links.map(link => (
+              <li className="submenu__item" key={link.href}>
+                <SubmenuLink {...link} />
+              </li>
+            ))}
+          </ul>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+const submenuId = id => `submenu-${id}`;
+
+const submenuLinks = container => Array.from(container.querySelectorAll('.submenu__link'));
+
+/**
+ * Header navigation rendered from the navigation tree in data/navigation.js.
+ * `openOn` is either 'hover' (desktop behaviour of the reference site) or
+ * 'click'; hover menus still toggle on click so they work on touch screens,
+ * except that the first click on an item hover has just opened keeps it open.
+ *
+ * Keyboard support follows the WAI-ARIA disclosure navigation pattern:
+ * Left/Right/Home/End move between top-level items, Down opens a submenu
+ * and moves into it, Up/Down move between its links, Tab cycles inside the
+ * open submenu and Escape closes it and returns focus to its trigger.
+ */
+function MegaMenu({ items, openOn = 'hover' }) {
+  const [openId, setOpenId] = useState(null);
+  const navRef = useRef(null);
+  const triggerRefs = useRef({});
+  const submenuRefs = useRef({});
+  const focusFirstLink = useRef(false);
+  // The item hover just opened, whose next click keeps it open instead of
+  // toggling it shut; touch screens send mouseenter right before click.
+  const hoverOpenedId = useRef(null);
+
+  useTrackWhen('menu_open', { menu: openId || '' }, openId !== null);
+
+  useEffect(() => {
+    if (openId === null) {
+      return undefined;
+    }
+    const closeOnOutsideClick = event => {
+      if (!navRef.current.contains(event.target)) {
+        setOpenId(null);
+      }
+    };
+    document.addEventListener('mousedown', closeOnOutsideClick);
+    return () => document.removeEventListener('mousedown', closeOnOutsideClick);
+  }, [openId]);
+
+  useEffect(() => {
+    if (openId !== null && focusFirstLink.current) {
+      focusFirstLink.current = false;
+      submenuLinks(submenuRefs.current[openId])[0].focus();
+    }
+  }, [openId]);
+
+  const close = id => {
+    setOpenId(null);
+    triggerRefs.current[id].focus();
+  };
+
+  const focusTrigger = index => {
+    const count = items.length;
+    triggerRefs.current[items[(index + count) % count].id].focus();
+  };
+
+  const onTriggerKeyDown = (event, index) => {
+    const { id } = items[index];
+    switch (event.key) {
+      case 'ArrowRight':
+        focusTrigger(index + 1);
+        break;
+      case 'ArrowLeft':
+        focusTrigger(index - 1);
+        break;
+      case 'Home':
+        focusTrigger(0);
+        break;
+      case 'End':
+        focusTrigger(items.length - 1);
+        break;
+      case 'ArrowDown':
+        if (openId === id) {
+          submenuLinks(submenuRefs.current[id])[0].focus();
+        } else {
+          focusFirstLink.current = true;
+          setOpenId(id);
+        }
+        break;
+      default:
+        return;
+    }
+    event.preventDefault();
+    event.stopPropagation();
+  };
+
+  const onItemKeyDown = (event, id) => {
+    if (openId !== id) {
+      return;
+    }
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      close(id);
+      return;
+    }
+
+    const links = submenuLinks(submenuRefs.current[id]);
+    const focusable = [triggerRefs.current[id], ...links];
+    const current = focusable.indexOf(document.activeElement);
+
+    if (event.key === 'Tab') {
+      const next = current + (event.shiftKey ? -1 : 1);
+      event.preventDefault();
+      focusable[(next + focusable.length) % focusable.length].focus();
+    } else if (current > 0 && (event.key === 'ArrowDown' || event.key === 'ArrowUp')) {
+      const next = current - 1 + (event.key === 'ArrowDown' ? 1 : -1);
+      event.preventDefault();
+      links[(next + links.length) % links.length].focus();
+    }
+  };
+
+  const hoverProps = id =>
+    openOn === 'hover'
+      ? {
+          onMouseEnter: () => {
+            hoverOpenedId.current = id;
+            setOpenId(id);
+          },
+          onMouseLeave: () => {
+            hoverOpenedId.current = null;
+            setOpenId(null);
+          },
+        }
+      : {};
+
+  const onTriggerClick = (id, open) => {
+    if (open && hoverOpenedId.current === id) {
+      hoverOpenedId.current = null;
+      return;
+    }
+    setOpenId(open ? null : id);
+  };
+
+  return (
+    <nav className="nav-container" aria-label="Main">
+      <ul className="menu" ref={navRef}>
+        {items.map((item, index) => {
+          const open = item.id === openId;
+          return (
+            <li
+              className={`menu__item${open ? ' menu__item--open' : ''}`}
+              key={item.id}
+              onKeyDown={event => onItemKeyDown(event, item.id)}
+              {...hoverProps(item.id)}
+            >
+              <button
+                type="button"
+                className="menu__item-heading"
+                aria-expanded={open}
+                aria-controls={submenuId(item.id)}
+                ref={element => (triggerRefs.current[item.id] = element)}
+                onClick={() => onTriggerClick(item.id, open)}
+                onKeyDown={event => onTriggerKeyDown(event, index)}
+              >
+                {item.label}
+              </button>
+              <div
+                className="submenu-container"
+                id={submenuId(item.id)}
+                hidden={!open}
+                ref={element => (submenuRefs.current[item.id] = element)}
+              >
+                <Submenu item={item} />
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </nav>
+  );
+}
+
+export default MegaMenu;
@@ -0,0 +1,158 @@
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter, useLocation } from 'react-router-dom';
+import MegaMenu from './MegaMenu';
+import navigation from '../data/navigation';
+import { ROUTER_FUTURE } from '../router';
+import { createMemoryAdapter } from '../analytics/adapters';
+import { setAnalyticsAdapters } from '../analytics/track';
+
+const wrapper = ({ children }) => <MemoryRouter future={ROUTER_FUTURE}>{children}</MemoryRouter>;
+
+test('renders the six top-level reference menu items', () => {
+  render(<MegaMenu items={navigation.items} />, { wrapper });
+  const headings = screen.getAllByRole('button').map(button => button.textContent);
+  expect(headings).toEqual(['Impact', 'Perspectives', 'About', 'Investors', 'Careers', 'Login']);
+});
+
+test('opens on hover in hover mode', () => {
+  render(<MegaMenu items={navigation.items} />, { wrapper });
+  const impact = screen.getByRole('button', { name: 'Impact' });
+  userEvent.hover(impact);
+  expect(impact).toHaveAttribute('aria-expanded', 'true');
+  expect(screen.getByRole('link', { name: 'Manage' })).toBeVisible();
+  userEvent.unhover(impact);
+  expect(impact).toHaveAttribute('aria-expanded', 'false');
+});
+
+test('keeps a submenu that hover opened open when its trigger is clicked', () => {
+  render(<MegaMenu items={navigation.items} />, { wrapper });
+  const impact = screen.getByRole('button', { name: 'Impact' });
+  userEvent.hover(impact);
+  userEvent.click(impact);
+  expect(impact).toHaveAttribute('aria-expanded', 'true');
+  // The pointer is still over the item, so no new mouseenter.
+  userEvent.click(impact, undefined, { skipHover: true });
+  expect(impact).toHaveAttribute('aria-expanded', 'false');
+});
+
+test('ignores hover and toggles on click in click mode', () => {
+  render(<MegaMenu items={navigation.items} openOn="click" />, { wrapper });
+  const about = screen.getByRole('button', { name: 'About' });
+  userEvent.hover(about);
+  expect(about).toHaveAttribute('aria-expanded', 'false');
+  userEvent.click(about);
+  expect(about).toHaveAttribute('aria-expanded', 'true');
+  userEvent.click(document.body);
+  expect(about).toHaveAttribute('aria-expanded', 'false');
+});
+
+test('tracks menu_open each time a submenu opens', () => {
+  const memory = createMemoryAdapter();
+  const restore = setAnalyticsAdapters([memory]);
+  render(<MegaMenu items={navigation.items} openOn="click" />, { wrapper });
+  userEvent.click(screen.getByRole('button', { name: 'Impact' }));
+  userEvent.click(screen.getByRole('button', { name: 'Careers' }));
+  userEvent.click(document.body);
+  restore();
+  expect(memory.events).toEqual([
+    { event: 'menu_open', payload: { menu: 'impact' } },
+    { event: 'menu_open', payload: { menu: 'careers' } },
+  ]);
+});
+
+test('routes site-relative links client-side', () => {
+  function CurrentPath() {
+    return <p>Path: {useLocation().pathname}</p>;
+  }
+  render(
+    <MemoryRouter future={ROUTER_FUTURE}>
+      <MegaMenu items={navigation.items} openOn="click" />
+      <CurrentPath />
+    </MemoryRouter>
+  );
+  userEvent.click(screen.getByRole('button', { name: 'Impact' }));
+  userEvent.click(screen.getByRole('link', { name: 'Manage' }));
+  expect(screen.getByText('Path: /impact/manage')).toBeInTheDocument();
+});
+
+test('uses the description variant only for items with a description', () => {
+  render(<MegaMenu items={navigation.items} />, { wrapper });
+  expect(screen.getByRole('list', { name: 'Impact', hidden: true })).toHaveClass('submenu--with-description');
+  expect(screen.getByRole('list', { name: 'Login', hidden: true })).not.toHaveClass('submenu--with-description');
+});
+
+test('marks external links and opens them in a new window', () => {
+  render(<MegaMenu items={navigation.items} />, { wrapper });
+  const searchJobs = screen.getByRole('link', { name: 'Search jobs (opens in a new window)', hidden: true });
+  expect(searchJobs).toHaveAttribute('target', '_blank');
+  expect(screen.getByRole('link', { name: 'FAQs', hidden: true })).not.toHaveAttribute('target');
+});
+
+describe('keyboard navigation', () => {
+  const renderMenu = () => {
+    render(<MegaMenu items={navigation.items} openOn="click" />, { wrapper });
+    userEvent.tab();
+  };
+
+  test('moves between top-level items with the arrow, Home and End keys', () => {
+    renderMenu();
+    expect(screen.getByRole('button', { name: 'Impact' })).toHaveFocus();
+    userEvent.keyboard('{ArrowRight}');
+    expect(screen.getByRole('button', { name: 'Perspectives' })).toHaveFocus();
+    userEvent.keyboard('{ArrowLeft}{ArrowLeft}');
+    expect(screen.getByRole('button', { name: 'Login' })).toHaveFocus();
+    userEvent.keyboard('{Home}');
+    expect(screen.getByRole('button', { name: 'Impact' })).toHaveFocus();
+    userEvent.keyboard('{End}');
+    expect(screen.getByRole('button', { name: 'Login' })).toHaveFocus();
+  });
+
+  test('keeps aria-expanded and aria-controls in sync with the submenu', () => {
+    renderMenu();
+    const impact = screen.getByRole('button', { name: 'Impact' });
+    const submenu = screen.getByRole('list', { name: 'Impact', hidden: true });
+    expect(impact).toHaveAttribute('aria-controls', 'submenu-impact');
+    expect(impact).toHaveAttribute('aria-expanded', 'false');
+    userEvent.keyboard('{Enter}');
+    expect(impact).toHaveAttribute('aria-expanded', 'true');
+    expect(submenu).toBeVisible();
+    userEvent.keyboard('{Enter}');
+    expect(impact).toHaveAttribute('aria-expanded', 'false');
+    expect(submenu).not.toBeVisible();
+  });
+
+  test('opens a submenu with ArrowDown and moves between its links', () => {
+    renderMenu();
+    userEvent.keyboard('{ArrowDown}');
+    expect(screen.getByRole('link', { name: 'Learn about our impact' })).toHaveFocus();
+    userEvent.keyboard('{ArrowDown}');
+    expect(screen.getByRole('link', { name: 'Manage' })).toHaveFocus();
+    userEvent.keyboard('{ArrowUp}{ArrowUp}');
+    expect(screen.getByRole('link', { name: 'Case studies' })).toHaveFocus();
+  });
+
+  test('closes on Escape and returns focus to the trigger', () => {
+    renderMenu();
+    userEvent.keyboard('{ArrowRight}{ArrowDown}{ArrowDown}');
+    expect(screen.getByRole('link', { name: 'Energy' })).toHaveFocus();
+    userEvent.keyboard('{Escape}');
+    const perspectives = screen.getByRole('button', { name: 'Perspectives' });
+    expect(perspectives).toHaveFocus();
+    expect(perspectives).toHaveAttribute('aria-expanded', 'false');
+  });
+
+  test('traps focus inside an open submenu', () => {
+    renderMenu();
+    userEvent.keyboard('{End}{Enter}');
+    const login = screen.getByRole('button', { name: 'Login' });
+    for (let i = 0; i < 7; i += 1) {
+      userEvent.tab();
+    }
+    expect(screen.getByRole('link', { name: 'Brokers (opens in a new window)' })).toHaveFocus();
+    userEvent.tab();
+    expect(login).toHaveFocus();
+    userEvent.tab({ shift: true });
+    expect(screen.getByRole('link', { name: 'Brokers (opens in a new window)' })).toHaveFocus();
+  });
+});
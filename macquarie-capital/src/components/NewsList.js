@@ -0,0 +1,34 @@
+import AppLink from './AppLink';
+import { news } from '../data/news';
+import { formatDate } from '../utils/date';
+import './NewsList.css';
+
+/**
+ * Headline list matching the reference `cmp-tile-news-list`: title, then
+ * location and date separated by a bullet. Shows the first `limit` of
+ * `items`, which defaults to the whole news collection, newest first.
+ */
+function NewsList({ items = news, limit = items.length, headingLevel = 3 }) {
+  const Heading = `h${headingLevel}`;
+
+  return (
+    <ul className="cmp-tile-news-list">
+      {items.slice(0, limit).map(item => (
+        <li className="cmp-tile-news-list__item" key={item.slug}>
+          <Heading className="cmp-tile-news-list__heading">
+            <AppLink className="cmp-tile-news-list__link" href={item.href}>
+              {item.title}
+            </AppLink>
+          </Heading>
+          <p className="cmp-tile-news-list__sub-text p3">
+            {item.location}
+            <span className="cmp-tile-news-list__bullet-divider" aria-hidden="true" />
+            <time dateTime={item.date}>{formatDate(item.date)}</time>
+          </p>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default NewsList;
@@ -0,0 +1,31 @@
+import { render, screen, within } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import NewsList from './NewsList';
+import { news } from '../data/news';
+import { ROUTER_FUTURE } from '../router';
+
+const renderList = props =>
+  render(
+    <MemoryRouter future={ROUTER_FUTURE}>
+      <NewsList {...props} />
+    </MemoryRouter>
+  );
+
+test('shows the latest releases from the news collection', () => {
+  renderList({ limit: 2 });
+
+  const items = screen.getAllByRole('listitem');
+  expect(items).toHaveLength(2);
+  expect(within(items[0]).getByRole('heading', { level: 3 })).toHaveTextContent(news[0].title);
+  expect(within(items[0]).getByRole('link')).toHaveAttribute('href', `/news/${news[0].slug}`);
+  expect(items[0]).toHaveTextContent(/Santiago\s*19 April 2022/);
+  expect(within(items[0]).getByText('19 April 2022')).toHaveAttribute('dateTime', '2022-04-19');
+});
+
+test('renders the items it is given, in order', () => {
+  renderList({ items: [news[3], news[1]], headingLevel: 4 });
+  expect(screen.getAllByRole('heading', { level: 4 }).map(heading => heading.textContent)).toEqual([
+    news[3].title,
+    news[1].title,
+  ]);
+});
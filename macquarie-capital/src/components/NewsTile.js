@@ -0,0 +1,25 @@
+import AppLink from './AppLink';
+import ResponsiveImage from './ResponsiveImage';
+import { useTrackedClick } from '../hooks/useTracking';
+import './NewsTile.css';
+
+function NewsTile({ category, title, image, href }) {
+  const onClick = useTrackedClick('tile_click', { tile: 'news', title, href });
+
+  return (
+    <div className="cmp-news-tile">
+      <AppLink className="cmp-news-tile__link-container" href={href} onClick={onClick}>
+        <ResponsiveImage
+          className="cmp-news-tile__image"
+          src={image}
+          aspectRatio="3 / 2"
+          sizes="(max-width: 767px) 100vw, 33vw"
+        />
+        <p className="cmp-news-tile__category-name">{category}</p>
+        <h4 className="cmp-news-tile__title">{title}</h4>
+      </AppLink>
+    </div>
+  );
+}
+
+export default NewsTile;
@@ -0,0 +1,45 @@
+import { Link } from 'react-router-dom';
+import './Pagination.css';
+
+/**
+ * Numbered pagination rendered as links, so every page has its own URL.
+ * `hrefFor(page)` builds the link for a 1-based page number. Renders
+ * nothing when everything fits on one page.
+ */
+function Pagination({ page, pageCount, hrefFor, label = 'Pagination' }) {
+  if (pageCount <= 1) {
+    return null;
+  }
+  const pages = Array.from({ length: pageCount }, (_, index) => index + 1);
+
+  return (
+    <nav className="cmp-pagination" aria-label={label}>
+      {page > 1 && (
+        <Link className="cmp-pagination__previous" to={hrefFor(page - 1)}>
+          Previous
+        </Link>
+      )}
+      <ol className="cmp-pagination__list">
+        {pages.map(number => (
+          <li key={number}>
+            <Link
+              className="cmp-pagination__page"
+              to={hrefFor(number)}
+              aria-current={number === page ? 'page' : undefined}
+              aria-label={`Page ${number}`}
+            >
+              {number}
+            </Link>
+          </li>
+        ))}
+      </ol>
+      {page < pageCount && (
+        <Link className="cmp-pagination__next" to={hrefFor(page + 1)}>
+          Next
+        </Link>
+      )}
+    </nav>
+  );
+}
+
+export default Pagination;
@@ -0,0 +1,140 @@
+import { useEffect, useRef, useState } from 'react';
+import { useConsentManager } from '../context/ConsentContext';
+import { consentCategories, consentCopy } from '../data/consent';
+import './PreferenceCentre.css';
+
+const focusable = container =>
+  Array.from(container.querySelectorAll('a[href], button:not([disabled]), input:not([disabled])'));
+
+function Category({ category, allowed, onToggle }) {
+  const [expanded, setExpanded] = useState(false);
+  const descriptionId = `consent-${category.id}-description`;
+
+  return (
+    <li className="cmp-consent-centre__category">
+      <div className="cmp-consent-centre__category-header">
+        <h3 className="cmp-consent-centre__category-heading">
+          <button
+            type="button"
+            className="cmp-consent-centre__category-toggle"
+            aria-expanded={expanded}
+            aria-controls={descriptionId}
+            onClick={() => setExpanded(!expanded)}
+          >
+            {category.label}
+          </button>
+        </h3>
+        {category.required ? (
+          <span className="cmp-consent-centre__always-active p3">Always active</span>
+        ) : (
+          <label className="cmp-consent-centre__switch">
+            <input
+              type="checkbox"
+              role="switch"
+              checked={allowed}
+              aria-label={category.label}
+              onChange={event => onToggle(category.id, event.target.checked)}
+            />
+            <span className="cmp-consent-centre__switch-track" aria-hidden="true" />
+          </label>
+        )}
+      </div>
+      <p className="cmp-consent-centre__category-description p3" id={descriptionId} hidden={!expanded}>
+        {category.description}
+      </p>
+    </li>
+  );
+}
+
+/**
+ * Modal "Manage my preferences" centre opened by ConsentProvider. Toggles
+ * edit a draft that is only stored on "Save cookie settings" (or "Accept
+ * all cookies"); Escape and the close button leave the stored choice as it
+ * was. Focus moves into the dialog on open and Tab cycles inside it.
+ */
+function PreferenceCentre() {
+  const { categories, save, acceptAll, closePreferences } = useConsentManager();
+  const [draft, setDraft] = useState(categories);
+  const dialogRef = useRef(null);
+  const { preferences, policy } = consentCopy;
+
+  useEffect(() => {
+    dialogRef.current.focus();
+  }, []);
+
+  const onKeyDown = event => {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      closePreferences();
+    } else if (event.key === 'Tab') {
+      const elements = focusable(dialogRef.current);
+      const first = elements[0];
+      const last = elements[elements.length - 1];
+      if (event.shiftKey && (document.activeElement === first || document.activeElement === dialogRef.current)) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && document.activeElement === last) {
+        event.preventDefault();
+        first.focus();
+      }
+    }
+  };
+
+  const finish = action => () => {
+    action();
+    closePreferences();
+  };
+
+  return (
+    <div className="cmp-consent-centre__backdrop">
+      <div
+        className="cmp-consent-centre"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="consent-centre-heading"
+        tabIndex={-1}
+        ref={dialogRef}
+        onKeyDown={onKeyDown}
+      >
+        <div className="cmp-consent-centre__header">
+          <h2 className="cmp-consent-centre__heading" id="consent-centre-heading">
+            {preferences.heading}
+          </h2>
+          <button type="button" className="cmp-consent-centre__close" aria-label="Close" onClick={closePreferences}>
+            <span aria-hidden="true">×</span>
+          </button>
+        </div>
+        <div className="cmp-consent-centre__content">
+          {preferences.paragraphs.map(text => (
+            <p className="p3" key={text}>
+              {text}
+            </p>
+          ))}
+          <p className="p3">
+            To learn more about how we use cookies, please view our <a href={policy.href}>{policy.label}</a>.
+          </p>
+          <button type="button" className="cmp-consent-button cmp-consent-button--primary" onClick={finish(acceptAll)}>
+            Accept all cookies
+          </button>
+          <ul className="cmp-consent-centre__categories">
+            {consentCategories.map(category => (
+              <Category
+                key={category.id}
+                category={category}
+                allowed={Boolean(draft[category.id])}
+                onToggle={(id, allowed) => setDraft({ ...draft, [id]: allowed })}
+              />
+            ))}
+          </ul>
+        </div>
+        <div className="cmp-consent-centre__footer">
+          <button type="button" className="cmp-consent-button" onClick={finish(() => save(draft))}>
+            Save cookie settings
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PreferenceCentre;
@@ -0,0 +1,22 @@
+import { asset } from '../utils/asset';
+import './PullQuote.css';
+
+function PullQuote({ text, attribution }) {
+  return (
+    <figure className="cmp-pull-quote">
+      <img
+        className="cmp-pull-quote__icon"
+        src={asset('images/quote-marks-open-mcq-global-outline.svg')}
+        alt=""
+        width="48"
+        height="48"
+      />
+      <blockquote className="cmp-pull-quote__text">
+        <p>{text}</p>
+      </blockquote>
+      {attribution && <figcaption className="cmp-pull-quote__attribution p2">{attribution}</figcaption>}
+    </figure>
+  );
+}
+
+export default PullQuote;
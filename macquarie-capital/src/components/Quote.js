@@ -0,0 +1,42 @@
+import ResponsiveImage from './ResponsiveImage';
+import { asset } from '../utils/asset';
+import './Quote.css';
+
+/**
+ * Large quote with a portrait, matching the reference "Our people" quote:
+ * the text sits in an `h4` (as on the reference site) followed by the
+ * speaker's name and role. Pass `portrait={false}` to leave the image out.
+ */
+function Quote({ text, name, role, image, portrait = true }) {
+  return (
+    <figure className={portrait && image ? 'cmp-quote cmp-quote--portrait' : 'cmp-quote'}>
+      {portrait && image && (
+        <ResponsiveImage
+          className="cmp-quote__portrait"
+          src={image}
+          alt={name}
+          aspectRatio="4 / 5"
+          sizes="(max-width: 767px) 100vw, 42vw"
+        />
+      )}
+      <div className="cmp-quote__content">
+        <img
+          className="cmp-quote__marks"
+          src={asset('images/quote-marks-open-mcq-global-outline.svg')}
+          alt=""
+          width="48"
+          height="48"
+        />
+        <blockquote className="cmp-quote__text">
+          <h4>{text}”</h4>
+        </blockquote>
+        <figcaption className="cmp-quote__attribution">
+          <span className="cmp-quote__name">{name}</span>
+          {role && <span className="cmp-quote__role">{role}</span>}
+        </figcaption>
+      </div>
+    </figure>
+  );
+}
+
+export default Quote;
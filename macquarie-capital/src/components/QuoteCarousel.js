@@ -0,0 +1,92 @@
+import { useEffect, useState } from 'react';
+import Quote from './Quote';
+import './QuoteCarousel.css';
+
+function prefersReducedMotion() {
+  return Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+}
+
+/**
+ * Rotates through people profile quotes every `interval` ms, following the
+ * WAI-ARIA carousel pattern. Rotation stops while the pointer or focus is
+ * inside the carousel, can be stopped with the first control, and never
+ * starts for reduced-motion users. Slides are only announced once rotation
+ * has stopped, so screen readers are not interrupted every few seconds.
+ *
+ * Rotation needs at least two quotes: a single quote is rendered on its own
+ * without carousel controls, and no quotes render nothing.
+ */
+function QuoteCarousel({ quotes, label = 'Featured quotes', interval = 8000 }) {
+  const [index, setIndex] = useState(0);
+  const [playing, setPlaying] = useState(() => !prefersReducedMotion());
+  const [hovered, setHovered] = useState(false);
+  const [focused, setFocused] = useState(false);
+  const count = quotes.length;
+  const rotating = playing && !hovered && !focused && count > 1;
+
+  useEffect(() => {
+    if (!rotating) {
+      return undefined;
+    }
+    const timer = window.setInterval(() => setIndex(current => (current + 1) % count), interval);
+    return () => window.clearInterval(timer);
+  }, [rotating, count, interval]);
+
+  const show = offset => setIndex(current => (current + offset + count) % count);
+
+  if (count === 0) {
+    return null;
+  }
+  if (count === 1) {
+    return <Quote text={quotes[0].quote} name={quotes[0].name} role={quotes[0].role} image={quotes[0].image} />;
+  }
+
+  return (
+    <section
+      className="cmp-quote-carousel"
+      aria-roledescription="carousel"
+      aria-label={label}
+      onMouseEnter={() => setHovered(true)}
+      onMouseLeave={() => setHovered(false)}
+      onFocus={() => setFocused(true)}
+      onBlur={event => {
+        if (!event.currentTarget.contains(event.relatedTarget)) {
+          setFocused(false);
+        }
+      }}
+    >
+      <div className="cmp-quote-carousel__controls">
+        <button
+          type="button"
+          className="cmp-quote-carousel__button"
+          aria-label={playing ? 'Stop rotating quotes' : 'Start rotating quotes'}
+          onClick={() => setPlaying(!playing)}
+        >
+          <span aria-hidden="true">{playing ? '❚❚' : '▶'}</span>
+        </button>
+        <button type="button" className="cmp-quote-carousel__button" aria-label="Previous quote" onClick={() => show(-1)}>
+          <span aria-hidden="true">←</span>
+        </button>
+        <button type="button" className="cmp-quote-carousel__button" aria-label="Next quote" onClick={() => show(1)}>
+          <span aria-hidden="true">→</span>
+        </button>
+      </div>
+      <div className="cmp-quote-carousel__slides" aria-live={rotating ? 'off' : 'polite'}>
+        {quotes.map((person, slide) => (
+          <div
+            className="cmp-quote-carousel__slide"
+            role="group"
+            aria-roledescription="slide"
+            aria-label={`${slide + 1} of ${count}`}
+            hidden={slide !== index}
+            key={person.slug}
+          >
+            <Quote text={person.quote} name={person.name} role={person.role} image={person.image} />
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+}
+
+export default QuoteCarousel;
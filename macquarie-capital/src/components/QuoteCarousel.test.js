@@ -0,0 +1,90 @@
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import QuoteCarousel from './QuoteCarousel';
+
+const quotes = ['Alex', 'Blake', 'Casey'].map(name => ({
+  slug: name.toLowerCase(),
+  name: `${name} Example`,
+  role: `${name}'s role`,
+  image: 'images/stack-maccap-our-people-michael.jpeg',
+  quote: `A quote from ${name}.`,
+}));
+
+const currentSlide = () => screen.getByRole('group');
+
+describe('QuoteCarousel', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    delete window.matchMedia;
+  });
+
+  test('rotates through the quotes and wraps around', () => {
+    render(<QuoteCarousel quotes={quotes} interval={5000} />);
+
+    expect(screen.getByRole('region', { name: 'Featured quotes' })).toHaveAttribute('aria-roledescription', 'carousel');
+    expect(currentSlide()).toHaveAccessibleName('1 of 3');
+    expect(currentSlide()).toHaveTextContent(/Alex Example\s*Alex's role/);
+
+    act(() => jest.advanceTimersByTime(5000));
+    expect(currentSlide()).toHaveAccessibleName('2 of 3');
+    expect(currentSlide()).toHaveTextContent('Blake Example');
+
+    act(() => jest.advanceTimersByTime(10000));
+    expect(currentSlide()).toHaveAccessibleName('1 of 3');
+  });
+
+  test('stops rotating while hovered and when stopped', () => {
+    render(<QuoteCarousel quotes={quotes} interval={5000} />);
+    const carousel = screen.getByRole('region');
+
+    fireEvent.mouseEnter(carousel);
+    act(() => jest.advanceTimersByTime(10000));
+    expect(currentSlide()).toHaveAccessibleName('1 of 3');
+    fireEvent.mouseLeave(carousel);
+
+    userEvent.click(screen.getByRole('button', { name: 'Stop rotating quotes' }));
+    fireEvent.mouseLeave(carousel);
+    fireEvent.focusOut(screen.getByRole('button', { name: 'Start rotating quotes' }), { relatedTarget: document.body });
+    act(() => jest.advanceTimersByTime(10000));
+    expect(currentSlide()).toHaveAccessibleName('1 of 3');
+
+    userEvent.click(screen.getByRole('button', { name: 'Start rotating quotes' }));
+    fireEvent.mouseLeave(carousel);
+    fireEvent.focusOut(screen.getByRole('button', { name: 'Stop rotating quotes' }), { relatedTarget: document.body });
+    act(() => jest.advanceTimersByTime(5000));
+    expect(currentSlide()).toHaveAccessibleName('2 of 3');
+  });
+
+  test('moves between quotes with the previous and next buttons', () => {
+    render(<QuoteCarousel quotes={quotes} />);
+
+    userEvent.click(screen.getByRole('button', { name: 'Previous quote' }));
+    expect(currentSlide()).toHaveAccessibleName('3 of 3');
+    expect(currentSlide()).toHaveTextContent('Casey Example');
+    userEvent.click(screen.getByRole('button', { name: 'Next quote' }));
+    expect(currentSlide()).toHaveAccessibleName('1 of 3');
+  });
+
+  test('does not rotate for reduced-motion users', () => {
+    window.matchMedia = jest.fn(() => ({ matches: true }));
+    render(<QuoteCarousel quotes={quotes} interval={5000} />);
+
+    expect(screen.getByRole('button', { name: 'Start rotating quotes' })).toBeInTheDocument();
+    act(() => jest.advanceTimersByTime(10000));
+    expect(currentSlide()).toHaveAccessibleName('1 of 3');
+  });
+
+  test('shows a single quote without carousel controls and nothing without quotes', () => {
+    const { container, rerender } = render(<QuoteCarousel quotes={quotes.slice(0, 1)} />);
+    expect(screen.getByRole('figure')).toHaveTextContent('A quote from Alex.');
+    expect(screen.queryByRole('region', { name: 'Featured quotes' })).not.toBeInTheDocument();
+    expect(screen.queryByRole('button')).not.toBeInTheDocument();
+
+    rerender(<QuoteCarousel quotes={[]} />);
+    expect(container).toBeEmptyDOMElement();
+  });
+});
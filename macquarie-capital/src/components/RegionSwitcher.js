@@ -0,0 +1,86 @@
+import { useEffect, useRef, useState } from 'react';
+import { useRegion } from '../context/RegionContext';
+import { regionGroups } from '../data/regions';
+import './RegionSwitcher.css';
+
+function RegionSwitcher() {
+  const { region, setRegion } = useRegion();
+  const [open, setOpen] = useState(false);
+  const rootRef = useRef(null);
+  const triggerRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) {
+      return undefined;
+    }
+    const closeOnOutsideClick = event => {
+      if (!rootRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', closeOnOutsideClick);
+    return () => document.removeEventListener('mousedown', closeOnOutsideClick);
+  }, [open]);
+
+  const onKeyDown = event => {
+    if (open && event.key === 'Escape') {
+      event.preventDefault();
+      setOpen(false);
+      triggerRef.current.focus();
+    }
+  };
+
+  const choose = id => {
+    setRegion(id);
+    setOpen(false);
+    triggerRef.current.focus();
+  };
+
+  return (
+    <div className="region-menu" ref={rootRef} onKeyDown={onKeyDown}>
+      <button
+        type="button"
+        className="region-menu__trigger"
+        aria-expanded={open}
+        aria-controls="region-submenu"
+        ref={triggerRef}
+        onClick={() => setOpen(!open)}
+      >
+        <span className="sr-only">Region selector, current region: {region.label}</span>
+        <span className="icon-globe region-menu__globe" aria-hidden="true" />
+        <span className="region-menu__code" aria-hidden="true">
+          {region.id.toUpperCase()}
+        </span>
+      </button>
+      <div className="submenu-container" id="region-submenu" hidden={!open}>
+        <div className="submenu region-submenu region-submenu--with-description">
+          <div className="submenu__group">
+            <p className="submenu__heading">Regions</p>
+            <p className="submenu__description">Please select your region</p>
+          </div>
+          {regionGroups.map(group => (
+            <div className="submenu__group region-submenu__group" key={group.label}>
+              <p className="submenu__group-heading">{group.label}</p>
+              <ul className="submenu__list">
+                {group.regions.map(option => (
+                  <li className="submenu__item" key={option.id}>
+                    <button
+                      type="button"
+                      className="submenu__link region-submenu__option"
+                      aria-current={option.id === region.id ? 'true' : undefined}
+                      onClick={() => choose(option.id)}
+                    >
+                      {option.label}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RegionSwitcher;
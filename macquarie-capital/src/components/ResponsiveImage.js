@@ -0,0 +1,106 @@
+import { useRef, useState } from 'react';
+import { useInView } from '../hooks/useInView';
+import { asset } from '../utils/asset';
+import { buildSrcSet, getRendition, renditionSrcSets } from '../utils/renditions';
+import './ResponsiveImage.css';
+
+// Candidate sets for one image: explicit template/widths win, then the
+// rendition manifest, then the plain file.
+function srcSetsFor(src, template, widths) {
+  if (template && widths) {
+    return { typed: [], srcSet: buildSrcSet(template, widths) };
+  }
+  const rendition = getRendition(src);
+  return rendition ? renditionSrcSets(rendition) : { typed: [], srcSet: undefined };
+}
+
+/**
+ * Image with explicit aspect ratio, blurred placeholder and lazy loading,
+ * replacing the vendor script that drives the reference `cmp-image` markup.
+ *
+ * Images listed in the rendition manifest get AVIF/WebP/original `srcset`s,
+ * their intrinsic aspect ratio and a blurred placeholder automatically;
+ * `template` + `widths` override the `srcset` by hand. `sources` art-directs
+ * other images in with `{ media, src }` entries. With `fill` the image
+ * covers its positioned parent instead of reserving its own aspect ratio.
+ */
+function ResponsiveImage({
+  src,
+  alt = '',
+  template,
+  widths,
+  sizes = '100vw',
+  sources = [],
+  aspectRatio,
+  placeholder,
+  fill = false,
+  lazy = true,
+  className = '',
+}) {
+  const ref = useRef(null);
+  // Without IntersectionObserver the image loads straight away and the
+  // native loading="lazy" attribute defers it instead.
+  const near = useInView(ref, { enabled: lazy, rootMargin: '200px 0px' });
+  const [loaded, setLoaded] = useState(false);
+
+  const classes = ['cmp-image', fill && 'cmp-image--fill', loaded && 'cmp-image--loaded', className]
+    .filter(Boolean)
+    .join(' ');
+  const rendition = getRendition(src);
+  const ratio = aspectRatio || (rendition && `${rendition.width} / ${rendition.height}`);
+  const blur = placeholder || (rendition && rendition.placeholder);
+  const main = srcSetsFor(src, template, widths);
+
+  return (
+    <div
+      ref={ref}
+      className={classes}
+      style={fill ? undefined : { aspectRatio: ratio }}
+      data-cmp-lazy={lazy ? '' : undefined}
+    >
+      {blur && !loaded && (
+        <img className="cmp-image__placeholder" src={blur} alt="" aria-hidden="true" />
+      )}
+      <picture>
+        {near &&
+          sources.flatMap(source => {
+            const sets = srcSetsFor(source.src);
+            return [
+              ...sets.typed.map(typed => (
+                <source
+                  key={`${source.media} ${typed.type}`}
+                  media={source.media}
+                  type={typed.type}
+                  srcSet={typed.srcSet}
+                  sizes={sizes}
+                />
+              )),
+              <source
+                key={source.media}
+                media={source.media}
+                srcSet={sets.srcSet || asset(source.src)}
+                sizes={sets.srcSet ? sizes : undefined}
+              />,
+            ];
+          })}
+        {near &&
+          main.typed.map(typed => (
+            <source key={typed.type} type={typed.type} srcSet={typed.srcSet} sizes={sizes} />
+          ))}
+        <img
+          className="cmp-image__image"
+          src={near ? asset(src) : undefined}
+          srcSet={near ? main.srcSet : undefined}
+          sizes={main.srcSet ? sizes : undefined}
+          alt={alt}
+          loading={lazy ? 'lazy' : 'eager'}
+          decoding="async"
+          fetchpriority={lazy ? undefined : 'high'}
+          onLoad={() => setLoaded(true)}
+        />
+      </picture>
+    </div>
+  );
+}
+
+export default ResponsiveImage;
@@ -0,0 +1,93 @@
+import { act, render, screen } from '@testing-library/react';
+import ResponsiveImage from './ResponsiveImage';
+import manifest from '../data/renditions.json';
+import { buildSrcSet } from '../utils/renditions';
+
+afterEach(() => {
+  delete window.IntersectionObserver;
+});
+
+function mockIntersectionObserver() {
+  const observers = [];
+  window.IntersectionObserver = jest.fn(function IntersectionObserver(callback) {
+    this.observe = jest.fn();
+    this.disconnect = jest.fn();
+    observers.push({ callback, instance: this });
+  });
+  return observers;
+}
+
+test('expands an AEM-style width template into a srcset', () => {
+  expect(buildSrcSet('images/tile{.width}.jpeg', [288, 576])).toBe(
+    '/images/tile.288.jpeg 288w, /images/tile.576.jpeg 576w'
+  );
+});
+
+test('waits until the image nears the viewport before loading it', () => {
+  const observers = mockIntersectionObserver();
+  render(
+    <ResponsiveImage
+      src="images/tile.jpeg"
+      template="images/tile{.width}.jpeg"
+      widths={[288, 576]}
+      sizes="33vw"
+      alt="Metro Martin Place"
+      aspectRatio="3 / 2"
+    />
+  );
+
+  const image = screen.getByRole('img', { name: 'Metro Martin Place' });
+  expect(image).not.toHaveAttribute('src');
+  expect(image).toHaveAttribute('loading', 'lazy');
+
+  act(() => observers[0].callback([{ isIntersecting: true }]));
+  expect(image).toHaveAttribute('src', '/images/tile.jpeg');
+  expect(image).toHaveAttribute('srcset', '/images/tile.288.jpeg 288w, /images/tile.576.jpeg 576w');
+  expect(image).toHaveAttribute('sizes', '33vw');
+  expect(observers[0].instance.disconnect).toHaveBeenCalled();
+});
+
+test('reads renditions and the placeholder from the manifest', () => {
+  const { widths, placeholder } = manifest['library3-metro-martin-place.jpeg'];
+  const { container } = render(
+    <ResponsiveImage src="images/library3-metro-martin-place.jpeg" alt="Metro" sizes="33vw" />
+  );
+
+  const image = screen.getByRole('img', { name: 'Metro' });
+  expect(image).toHaveAttribute(
+    'srcset',
+    buildSrcSet('renditions/library3-metro-martin-place.jpeg{.width}.jpeg', widths)
+  );
+  const avif = buildSrcSet('renditions/library3-metro-martin-place.jpeg{.width}.avif', widths);
+  const webp = buildSrcSet('renditions/library3-metro-martin-place.jpeg{.width}.webp', widths);
+  expect(container).toContainHTML(
+    `<source type="image/avif" srcset="${avif}" sizes="33vw"><source type="image/webp" srcset="${webp}" sizes="33vw">`
+  );
+  expect(screen.getByRole('img', { hidden: true, name: '' })).toHaveAttribute('src', placeholder);
+});
+
+test('falls back to native lazy loading without IntersectionObserver', () => {
+  render(<ResponsiveImage src="images/tile.jpeg" alt="Tile" />);
+  const image = screen.getByRole('img', { name: 'Tile' });
+  expect(image).toHaveAttribute('src', '/images/tile.jpeg');
+  expect(image).toHaveAttribute('loading', 'lazy');
+});
+
+test('loads eagerly with high priority when not lazy', () => {
+  mockIntersectionObserver();
+  render(<ResponsiveImage src="images/hero.jpeg" alt="Hero" lazy={false} fill />);
+  const image = screen.getByRole('img', { name: 'Hero' });
+  expect(image).toHaveAttribute('src', '/images/hero.jpeg');
+  expect(image).toHaveAttribute('fetchpriority', 'high');
+  expect(window.IntersectionObserver).not.toHaveBeenCalled();
+});
+
+test('shows the blurred placeholder until the image has loaded', () => {
+  render(<ResponsiveImage src="images/tile.jpeg" alt="Tile" placeholder="data:image/jpeg;base64,AAAA" />);
+  expect(screen.getByRole('img', { hidden: true, name: '' })).toHaveClass('cmp-image__placeholder');
+
+  act(() => {
+    screen.getByRole('img', { name: 'Tile' }).dispatchEvent(new Event('load'));
+  });
+  expect(screen.queryByRole('img', { hidden: true, name: '' })).not.toBeInTheDocument();
+});
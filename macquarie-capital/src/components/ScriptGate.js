@@ -0,0 +1,47 @@
+import { useEffect } from 'react';
+import { useConsent } from '../context/ConsentContext';
+import { holdDataLayer, releaseDataLayer } from '../analytics/dataLayer';
+import { deleteCookies } from '../utils/cookies';
+
+const scriptId = id => `script-gate-${id}`;
+
+/**
+ * Injects a third-party script into <head> only while the visitor allows
+ * its consent `category`. With `dataLayer`, the tag manager's `gtm.start`
+ * event and any pushes queued before consent are replayed first.
+ *
+ * When consent is withdrawn the script element is removed, matching
+ * `cookies` are expired and `globals` deleted. Code the script already
+ * ran cannot be unloaded, so this stops further tracking rather than
+ * undoing it; the next page load starts clean.
+ */
+function ScriptGate({ id, category, src, dataLayer = false, cookies = [], globals = [] }) {
+  const allowed = useConsent(category);
+
+  // The script element itself records whether it has been injected, so a
+  // remounted gate never adds it twice.
+  useEffect(() => {
+    const existing = document.getElementById(scriptId(id));
+    if (allowed && !existing) {
+      if (dataLayer) {
+        releaseDataLayer([{ 'gtm.start': Date.now(), event: 'gtm.js' }]);
+      }
+      const script = document.createElement('script');
+      script.id = scriptId(id);
+      script.src = src;
+      script.async = true;
+      document.head.appendChild(script);
+    } else if (!allowed && existing) {
+      existing.remove();
+      if (dataLayer) {
+        holdDataLayer();
+      }
+      deleteCookies(cookies);
+      globals.forEach(name => delete window[name]);
+    }
+  }, [allowed, id, src, dataLayer, cookies, globals]);
+
+  return null;
+}
+
+export default ScriptGate;
@@ -0,0 +1,123 @@
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import ScriptGate from './ScriptGate';
+import { holdDataLayer, pushToDataLayer } from '../analytics/dataLayer';
+import { ConsentProvider, useConsentManager } from '../context/ConsentContext';
+import { FUNCTIONAL, PERFORMANCE } from '../data/consent';
+import { cookieNames } from '../utils/cookies';
+
+// A local stand-in for gtm.js: nothing is fetched (jsdom does not load
+// scripts), and "running" it just sets what the real tag would.
+const fakeTag = {
+  id: 'fake-tag',
+  category: PERFORMANCE,
+  src: '/fake-tag.js',
+  dataLayer: true,
+  cookies: [/^_fake/],
+  globals: ['fakeTag'],
+};
+
+// Scripts go into <head>, outside anything Testing Library queries.
+function injected() {
+  return document.scripts.namedItem('script-gate-fake-tag');
+}
+
+const runFakeTag = () => {
+  document.cookie = '_fake_id=123; path=/';
+  window.fakeTag = { loaded: true };
+};
+
+function Controls() {
+  const { save, openPreferences } = useConsentManager();
+  return (
+    <>
+      <button type="button" onClick={() => save({ [PERFORMANCE]: false })}>
+        Withdraw
+      </button>
+      <button type="button" onClick={openPreferences}>
+        Manage cookie settings
+      </button>
+    </>
+  );
+}
+
+const renderGate = (gate = fakeTag) =>
+  render(
+    <ConsentProvider>
+      <ScriptGate {...gate} />
+      <Controls />
+    </ConsentProvider>
+  );
+
+beforeEach(() => {
+  window.localStorage.clear();
+  holdDataLayer();
+});
+
+afterEach(() => {
+  document.head.innerHTML = '';
+  document.cookie = '_fake_id=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/';
+  delete window.fakeTag;
+});
+
+test('injects nothing until its category is allowed', () => {
+  renderGate();
+  userEvent.click(screen.getByRole('button', { name: 'Reject optional cookies' }));
+
+  expect(injected()).toBeNull();
+  expect(window.dataLayer).toBeUndefined();
+});
+
+test('injects the script once consent is given and replays queued pushes', () => {
+  pushToDataLayer({ event: 'page_view', page: '/' });
+  renderGate();
+  pushToDataLayer({ event: 'cta_click' });
+  expect(window.dataLayer).toBeUndefined();
+
+  userEvent.click(screen.getByRole('button', { name: 'Accept all cookies' }));
+
+  expect(injected()).toHaveAttribute('src', '/fake-tag.js');
+  expect(injected().async).toBe(true);
+  expect(window.dataLayer).toEqual([
+    { 'gtm.start': expect.any(Number), event: 'gtm.js' },
+    { event: 'page_view', page: '/' },
+    { event: 'cta_click' },
+  ]);
+
+  pushToDataLayer({ event: 'menu_open' });
+  expect(window.dataLayer).toHaveLength(4);
+});
+
+test('removes the script, its cookies and globals when consent is withdrawn', () => {
+  renderGate();
+  userEvent.click(screen.getByRole('button', { name: 'Accept all cookies' }));
+  runFakeTag();
+  document.cookie = 'mq_session=abc; path=/';
+  expect(cookieNames()).toContain('_fake_id');
+
+  userEvent.click(screen.getByRole('button', { name: 'Withdraw' }));
+
+  expect(injected()).toBeNull();
+  expect(cookieNames()).not.toContain('_fake_id');
+  expect(cookieNames()).toContain('mq_session');
+  expect(window.fakeTag).toBeUndefined();
+  expect(window.dataLayer).toBeUndefined();
+
+  pushToDataLayer({ event: 'after_withdrawal' });
+  expect(window.dataLayer).toBeUndefined();
+  document.cookie = 'mq_session=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/';
+});
+
+test('gates each script on its own category', () => {
+  renderGate({ ...fakeTag, category: FUNCTIONAL, dataLayer: false });
+  userEvent.click(screen.getByRole('button', { name: 'Cookie settings' }));
+  userEvent.click(screen.getByRole('switch', { name: 'Performance cookies' }));
+  userEvent.click(screen.getByRole('button', { name: 'Save cookie settings' }));
+  expect(injected()).toBeNull();
+
+  userEvent.click(screen.getByRole('button', { name: 'Manage cookie settings' }));
+  userEvent.click(screen.getByRole('switch', { name: 'Functional cookies' }));
+  userEvent.click(screen.getByRole('button', { name: 'Save cookie settings' }));
+  expect(injected()).toHaveAttribute('src', '/fake-tag.js');
+  expect(window.dataLayer).toBeUndefined();
+});
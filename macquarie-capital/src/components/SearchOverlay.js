@@ -0,0 +1,165 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import AppLink from './AppLink';
+import { useTrackWhen } from '../hooks/useTracking';
+import { highlight, snippet } from '../search/highlight';
+import { loadSearchIndex } from '../search/loadSearchIndex';
+import { search } from '../search/searchIndex';
+import './SearchOverlay.css';
+
+function Highlighted({ text, terms }) {
+  return highlight(text, terms).map((segment, position) =>
+    segment.match ? <mark key={position}>{segment.text}</mark> : segment.text
+  );
+}
+
+function SearchOverlay({ open, onClose }) {
+  const [query, setQuery] = useState('');
+  const [active, setActive] = useState(-1);
+  const [index, setIndex] = useState(null);
+  const [failed, setFailed] = useState(false);
+  const inputRef = useRef(null);
+  const linkRefs = useRef([]);
+
+  const results = useMemo(() => (open && index ? search(index, query) : []), [open, index, query]);
+
+  useEffect(() => {
+    if (!open || index) {
+      return undefined;
+    }
+    let cancelled = false;
+    setFailed(false);
+    loadSearchIndex().then(
+      loaded => !cancelled && setIndex(loaded),
+      () => !cancelled && setFailed(true)
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [open, index]);
+
+  // Tracked once typing pauses, not on every keystroke.
+  const settledQuery = query.trim();
+  useTrackWhen(
+    'search_query',
+    { query: settledQuery, results: results.length },
+    open && Boolean(index) && settledQuery !== '',
+    { delay: 1000 }
+  );
+
+  useEffect(() => {
+    if (open) {
+      inputRef.current.focus();
+    } else {
+      setQuery('');
+      setActive(-1);
+    }
+  }, [open]);
+
+  if (!open) {
+    return null;
+  }
+
+  const onChange = event => {
+    setQuery(event.target.value);
+    setActive(-1);
+  };
+
+  const onKeyDown = event => {
+    const count = results.length;
+    switch (event.key) {
+      case 'ArrowDown':
+        if (count) {
+          setActive((active + 1) % count);
+        }
+        break;
+      case 'ArrowUp':
+        if (count) {
+          setActive((active - 1 + count) % count);
+        }
+        break;
+      case 'Enter':
+        if (active >= 0) {
+          linkRefs.current[active].click();
+        }
+        break;
+      case 'Escape':
+        onClose();
+        break;
+      default:
+        return;
+    }
+    event.preventDefault();
+  };
+
+  const hasQuery = query.trim() !== '';
+  let status = '';
+  if (failed) {
+    status = 'Search is unavailable right now. Please try again later.';
+  } else if (hasQuery && !index) {
+    status = 'Loading results…';
+  } else if (hasQuery) {
+    status = `${results.length} ${results.length === 1 ? 'result' : 'results'}`;
+  }
+
+  return (
+    <div className="search__overlay" id="search-panel" role="dialog" aria-modal="true" aria-label="Search">
+      <div className="search__fields">
+        <input
+          ref={inputRef}
+          type="text"
+          className="search__input"
+          placeholder="I am looking for..."
+          aria-label="I am looking for..."
+          autoComplete="off"
+          role="combobox"
+          aria-expanded={results.length > 0}
+          aria-controls="search-results"
+          aria-autocomplete="list"
+          aria-activedescendant={active >= 0 ? `search-result-${active}` : undefined}
+          value={query}
+          onChange={onChange}
+          onKeyDown={onKeyDown}
+        />
+        <button type="button" className="search__icon-close" aria-label="Close search" onClick={onClose} />
+      </div>
+      <div className="search__results">
+        <p className={failed || !index ? 'search__status' : 'sr-only'} role="status">
+          {status}
+        </p>
+        {index && hasQuery && results.length === 0 && (
+          <p className="search__empty">No results for “{query.trim()}”</p>
+        )}
+        <ul id="search-results" role="listbox" aria-label="Search results" hidden={results.length === 0}>
+          {results.map((result, position) => (
+            <li
+              key={result.href}
+              id={`search-result-${position}`}
+              role="option"
+              aria-selected={position === active}
+              className={`search__result${position === active ? ' search__result--active' : ''}`}
+            >
+              <AppLink
+                href={result.href}
+                tabIndex={-1}
+                ref={element => (linkRefs.current[position] = element)}
+                onClick={onClose}
+              >
+                <span className="search__result-type p3">{result.type}</span>
+                <span className="search__result-title">
+                  <Highlighted text={result.title} terms={result.terms} />
+                </span>
+                {result.body && (
+                  <span className="search__result-snippet p3">
+                    <Highlighted text={snippet(result.body, result.terms)} terms={result.terms} />
+                  </span>
+                )}
+              </AppLink>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+export default SearchOverlay;
@@ -0,0 +1,125 @@
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter, useLocation } from 'react-router-dom';
+import Accordion from './Accordion';
+import Header from './Header';
+import { RegionProvider } from '../context/RegionContext';
+import { collectDocuments } from '../search/documents';
+import { buildIndex } from '../search/searchIndex';
+import { ROUTER_FUTURE } from '../router';
+import { createMemoryAdapter } from '../analytics/adapters';
+import { setAnalyticsAdapters } from '../analytics/track';
+
+const index = buildIndex(collectDocuments());
+
+beforeEach(() => {
+  global.fetch = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve(index) }));
+});
+
+afterEach(() => {
+  delete global.fetch;
+  window.history.replaceState(null, '', '/');
+});
+
+function CurrentPath() {
+  return <p>Path: {useLocation().pathname}</p>;
+}
+
+const openSearch = page => {
+  render(
+    <MemoryRouter future={ROUTER_FUTURE}>
+      <RegionProvider>
+        <Header />
+        <CurrentPath />
+        {page}
+      </RegionProvider>
+    </MemoryRouter>
+  );
+  userEvent.click(screen.getByRole('button', { name: 'Search' }));
+  return screen.getByRole('combobox', { name: 'I am looking for...' });
+};
+
+test('lazy-loads the prebuilt index on first open and closes on Escape', async () => {
+  const input = openSearch();
+  expect(input).toHaveFocus();
+  expect(global.fetch).toHaveBeenCalledWith(expect.stringMatching(/search-index\.json\?v=\d+$/));
+  userEvent.type(input, 'debt');
+  expect(await screen.findAllByRole('option')).not.toHaveLength(0);
+
+  userEvent.keyboard('{Escape}');
+  expect(screen.queryByRole('dialog', { name: 'Search' })).not.toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Search' })).toHaveFocus();
+});
+
+test('shows ranked, highlighted results across content types', async () => {
+  const input = openSearch();
+  userEvent.type(input, 'debt capital');
+  await screen.findAllByRole('option');
+  const options = within(screen.getByRole('listbox', { name: 'Search results' })).getAllByRole('option');
+  // Title matches lead: the service and the news release about debt capital markets.
+  const service = options.find(option => option.textContent.startsWith('ServiceDebt Capital Markets'));
+  expect(options.indexOf(service)).toBeLessThan(2);
+  expect(within(service).getAllByText(/^(Debt|Capital)$/)[0].tagName).toBe('MARK');
+  expect(screen.getByRole('status')).toHaveTextContent(/results?$/);
+});
+
+test('moves through results with the arrow keys and opens one with Enter', async () => {
+  const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+  const input = openSearch();
+  userEvent.type(input, 'energy');
+  const options = await screen.findAllByRole('option');
+
+  userEvent.keyboard('{ArrowDown}{ArrowDown}');
+  expect(options[1]).toHaveAttribute('aria-selected', 'true');
+  expect(input).toHaveAttribute('aria-activedescendant', options[1].id);
+  userEvent.keyboard('{ArrowUp}{Enter}');
+  expect(click).toHaveBeenCalledTimes(1);
+  click.mockRestore();
+});
+
+test('opens internal results client-side and closes the overlay', async () => {
+  const input = openSearch();
+  userEvent.type(input, 'underwriter overnight');
+  const [option] = await screen.findAllByRole('option');
+  userEvent.click(within(option).getByRole('link'));
+
+  expect(screen.getByText(/^Path:/)).toHaveTextContent(
+    'Path: /impact/case-studies/executing-australias-largest-placement-during-covid-pandemic'
+  );
+  expect(screen.queryByRole('dialog', { name: 'Search' })).not.toBeInTheDocument();
+});
+
+test('opens a service result in the accordion on the home page', async () => {
+  const services = [{ id: 'debt-capital-markets', title: 'Debt Capital Markets', content: <p>Debt panel</p> }];
+  const input = openSearch(<Accordion items={services} deepLink />);
+  userEvent.type(input, 'debt capital');
+  const options = await screen.findAllByRole('option');
+  const service = options.find(option => option.textContent.startsWith('ServiceDebt Capital Markets'));
+  userEvent.click(within(service).getByRole('link'));
+
+  await waitFor(() =>
+    expect(screen.getByRole('button', { name: 'Debt Capital Markets' })).toHaveAttribute('aria-expanded', 'true')
+  );
+  expect(window.location.hash).toBe('#debt-capital-markets');
+  expect(screen.queryByRole('dialog', { name: 'Search' })).not.toBeInTheDocument();
+});
+
+test('shows an empty state when nothing matches', async () => {
+  const input = openSearch();
+  userEvent.type(input, 'zebra');
+  expect(await screen.findByText('No results for “zebra”')).toBeInTheDocument();
+  expect(screen.getByRole('status')).toHaveTextContent('0 results');
+});
+
+test('tracks search_query once typing pauses', async () => {
+  const memory = createMemoryAdapter();
+  const restore = setAnalyticsAdapters([memory]);
+  const input = openSearch();
+  userEvent.type(input, 'zebra');
+  await screen.findByText('No results for “zebra”');
+  expect(memory.events).toEqual([]);
+
+  const expected = [{ event: 'search_query', payload: { query: 'zebra', results: 0 } }];
+  await waitFor(() => expect(memory.events).toEqual(expected), { timeout: 2000 });
+  restore();
+});
@@ -0,0 +1,27 @@
+import './TableOfContents.css';
+
+/**
+ * In-page contents list built from an article's `headings`
+ * (`{ id, depth, text }`). Deeper headings are indented under the one
+ * before them.
+ */
+function TableOfContents({ headings, label = 'Contents' }) {
+  if (headings.length === 0) {
+    return null;
+  }
+
+  return (
+    <nav className="cmp-toc" aria-label={label}>
+      <p className="cmp-toc__label p3">{label}</p>
+      <ol className="cmp-toc__list">
+        {headings.map(heading => (
+          <li key={heading.id} className={`cmp-toc__item cmp-toc__item--depth-${heading.depth}`}>
+            <a href={`#${heading.id}`}>{heading.text}</a>
+          </li>
+        ))}
+      </ol>
+    </nav>
+  );
+}
+
+export default TableOfContents;
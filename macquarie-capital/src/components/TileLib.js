@@ -0,0 +1,35 @@
+import AppLink from './AppLink';
+import ResponsiveImage from './ResponsiveImage';
+import { useTrackedClick } from '../hooks/useTracking';
+import { formatDate } from '../utils/date';
+import './TileLib.css';
+
+function TileLib({ category, title, image, href, date }) {
+  const onClick = useTrackedClick('tile_click', { tile: 'library', title, href });
+
+  return (
+    <div className="cmp-tile-lib">
+      <AppLink className="cmp-tile-lib__link" href={href} onClick={onClick}>
+        <div className="cmp-tile-lib__container">
+          <ResponsiveImage
+            className="cmp-tile-lib__image"
+            src={image}
+            fill
+            sizes="(max-width: 767px) 100vw, 20vw"
+          />
+          <div className="cmp-tile-lib__content">
+            <p className="cmp-tile-lib__category p2">{category}</p>
+            <p className="cmp-tile-lib__heading h4">{title}</p>
+            {date && (
+              <p className="cmp-tile-lib__date p3">
+                <time dateTime={date}>{formatDate(date)}</time>
+              </p>
+            )}
+          </div>
+        </div>
+      </AppLink>
+    </div>
+  );
+}
+
+export default TileLib;
@@ -0,0 +1,115 @@
+import matter from 'gray-matter';
+import yaml from 'js-yaml';
+import { marked } from 'marked';
+import { slugify } from '../utils/slug';
+
+export const WORDS_PER_MINUTE = 200;
+
+// Headings at these depths get an id and an entry in the table of contents.
+const CONTENTS_DEPTHS = [2, 3];
+const ATTRIBUTION = /^(?:—|--)\s*/;
+// Tags that separate words; inline ones such as <a> and <strong> do not.
+const BLOCK_TAG = /<\/?(?:p|li|ul|ol|h[1-6]|blockquote|pre|table|tr|td|th|br|hr)\b[^>]*>/g;
+
+// Front matter is parsed with the JSON schema, so dates stay strings for
+// the content schema to check rather than being silently coerced (YAML
+// would read 2022-13-01 as 1 January 2023).
+const matterOptions = {
+  engines: { yaml: source => yaml.load(source, { schema: yaml.JSON_SCHEMA }) },
+};
+
+function decodeEntities(html) {
+  return html
+    .replace(/&amp;/g, '&')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>');
+}
+
+function plainText(markdown) {
+  return decodeEntities(marked.parseInline(markdown).replace(/<[^>]+>/g, ''));
+}
+
+// A blockquote is a pull quote. A last line starting with an em dash (or
+// "--") is its attribution.
+function pullQuote(token) {
+  const lines = token.text.split('\n').map(line => line.trim()).filter(Boolean);
+  const last = lines[lines.length - 1];
+  const attribution = lines.length > 1 && ATTRIBUTION.test(last) ? plainText(last.replace(ATTRIBUTION, '')) : undefined;
+  const text = plainText((attribution ? lines.slice(0, -1) : lines).join(' '));
+  return attribution ? { type: 'quote', text, attribution } : { type: 'quote', text };
+}
+
+/**
+ * Compiles a Markdown file with YAML front matter into `{ data, blocks,
+ * headings, readingTime }`. `blocks` is what the article template renders:
+ *
+ * - `{ type: 'heading', depth, id, text }` for h2 and h3,
+ * - `{ type: 'quote', text, attribution? }` for blockquotes,
+ * - `{ type: 'html', html }` for everything in between.
+ *
+ * `headings` lists the h2/h3 blocks for the table of contents, and
+ * `readingTime` is in whole minutes.
+ */
+export function compileMarkdown(source) {
+  const { data, content } = matter(source, matterOptions);
+  const tokens = marked.lexer(content);
+  const blocks = [];
+  const ids = new Set();
+  let pending = [];
+
+  const flush = () => {
+    if (pending.length > 0) {
+      pending.links = tokens.links;
+      blocks.push({ type: 'html', html: marked.parser(pending).trim() });
+      pending = [];
+    }
+  };
+
+  tokens.forEach(token => {
+    if (token.type === 'heading' && CONTENTS_DEPTHS.includes(token.depth)) {
+      flush();
+      const text = plainText(token.text);
+      let id = slugify(text);
+      for (let n = 2; ids.has(id); n += 1) {
+        id = `${slugify(text)}-${n}`;
+      }
+      ids.add(id);
+      blocks.push({ type: 'heading', depth: token.depth, id, text });
+    } else if (token.type === 'blockquote') {
+      flush();
+      blocks.push(pullQuote(token));
+    } else if (token.type !== 'space') {
+      pending.push(token);
+    }
+  });
+  flush();
+
+  const words = blocks
+    .map(block => (block.type === 'html' ? block.html.replace(/<[^>]+>/g, ' ') : block.text))
+    .join(' ')
+    .split(/\s+/)
+    .filter(Boolean).length;
+
+  return {
+    data,
+    blocks,
+    headings: blocks.filter(block => block.type === 'heading'),
+    readingTime: Math.max(1, Math.ceil(words / WORDS_PER_MINUTE)),
+  };
+}
+
+// The text of compiled `blocks` without markup, in reading order, e.g. for
+// the search index.
+export function blocksToText(blocks) {
+  return blocks
+    .map(block =>
+      block.type === 'html'
+        ? decodeEntities(block.html.replace(BLOCK_TAG, ' ').replace(/<[^>]+>/g, ''))
+        : [block.text, block.attribution].filter(Boolean).join(' ')
+    )
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
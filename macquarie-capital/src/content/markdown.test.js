@@ -0,0 +1,55 @@
+import { blocksToText, compileMarkdown } from './markdown';
+
+const source = `---
+title: Example
+date: 2022-05-10
+---
+
+Intro with **bold** text and a [link](https://example.com).
+
+## Market update
+
+> Capital is moving first.
+> — Macquarie Capital
+
+### Detail & outlook
+
+- One
+- Two
+
+## Market update
+
+> An unattributed quote.
+`;
+
+test('splits Markdown into headings, pull quotes and HTML blocks', () => {
+  const { data, blocks } = compileMarkdown(source);
+
+  expect(data.title).toBe('Example');
+  expect(blocks).toEqual([
+    { type: 'html', html: '<p>Intro with <strong>bold</strong> text and a <a href="https://example.com">link</a>.</p>' },
+    { type: 'heading', depth: 2, id: 'market-update', text: 'Market update' },
+    { type: 'quote', text: 'Capital is moving first.', attribution: 'Macquarie Capital' },
+    { type: 'heading', depth: 3, id: 'detail-outlook', text: 'Detail & outlook' },
+    { type: 'html', html: '<ul>\n<li>One</li>\n<li>Two</li>\n</ul>' },
+    { type: 'heading', depth: 2, id: 'market-update-2', text: 'Market update' },
+    { type: 'quote', text: 'An unattributed quote.' },
+  ]);
+});
+
+test('lists h2 and h3 headings for the table of contents', () => {
+  const { headings } = compileMarkdown(source);
+  expect(headings.map(heading => heading.id)).toEqual(['market-update', 'detail-outlook', 'market-update-2']);
+});
+
+test('estimates reading time in whole minutes, rounding up', () => {
+  expect(compileMarkdown(source).readingTime).toBe(1);
+  expect(compileMarkdown('word '.repeat(401)).readingTime).toBe(3);
+});
+
+test('flattens blocks into plain text for the search index', () => {
+  expect(blocksToText(compileMarkdown(source).blocks)).toBe(
+    'Intro with bold text and a link. Market update Capital is moving first. Macquarie Capital ' +
+      'Detail & outlook One Two Market update An unattributed quote.'
+  );
+});
@@ -0,0 +1,98 @@
+import regionGroups from '../data/regions/regions.json';
+
+// Front matter `region` is one of the region switcher's groups, or Global.
+export const CONTENT_REGIONS = [...regionGroups.map(group => group.label), 'Global'];
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const IMAGE = /^images\/[\w.-]+\.(?:jpe?g|png|svg|webp)$/;
+
+// Each type checks a raw front matter value and returns an error message,
+// or nothing when the value is valid.
+const types = {
+  string: value => (typeof value === 'string' && value.trim() ? undefined : 'must be a non-empty string'),
+  // Round-tripping rejects dates such as 2022-02-30 that Date would roll over.
+  date: value => {
+    const date = new Date(`${value}T00:00:00Z`);
+    const real = ISO_DATE.test(value) && !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+    return real ? undefined : 'must be a real date in YYYY-MM-DD format';
+  },
+  region: value => (CONTENT_REGIONS.includes(value) ? undefined : `must be one of: ${CONTENT_REGIONS.join(', ')}`),
+  image: value => (typeof value === 'string' && IMAGE.test(value) ? undefined : 'must be an image path under images/'),
+  url: value => (typeof value === 'string' && /^https?:\/\/\S+$/.test(value) ? undefined : 'must be an http(s) URL'),
+};
+
+const common = {
+  title: { type: 'string' },
+  date: { type: 'date' },
+  category: { type: 'string' },
+  region: { type: 'region' },
+  image: { type: 'image' },
+  summary: { type: 'string' },
+  // Where the item was originally published, if anywhere.
+  source: { type: 'url', optional: true },
+};
+
+/**
+ * Content collections compiled by scripts/build-content.js: the directory
+ * under content/ each is read from, and the front matter it accepts. The
+ * JSON for a collection is written to src/data/content/<name>.json.
+ */
+export const collections = {
+  perspectives: {
+    directory: 'perspectives',
+    fields: { ...common, author: { type: 'string' } },
+  },
+  caseStudies: {
+    directory: 'case-studies',
+    fields: { ...common, dealValue: { type: 'string' } },
+  },
+  news: {
+    directory: 'news',
+    fields: { ...common, image: { type: 'image', optional: true }, location: { type: 'string' } },
+  },
+  people: {
+    directory: 'people',
+    fields: {
+      ...common,
+      name: { type: 'string' },
+      role: { type: 'string' },
+      // Shown with the portrait on the story page and in the home carousel.
+      quote: { type: 'string', optional: true },
+    },
+  },
+};
+
+/**
+ * Checks front matter against a collection's `fields`. Returns the valid
+ * fields, and one message per problem naming the file and field, e.g.
+ * `news/a.md: "region" is required`. `assetExists(path)` can reject image
+ * paths that are well formed but missing from public/.
+ */
+export function validateFrontMatter(data, fields, file, { assetExists = () => true } = {}) {
+  const errors = [];
+  const values = {};
+
+  Object.entries(fields).forEach(([name, field]) => {
+    const value = data[name];
+    if (value === undefined || value === null || value === '') {
+      if (!field.optional) {
+        errors.push(`${file}: "${name}" is required`);
+      }
+      return;
+    }
+    const problem = types[field.type](value);
+    if (problem) {
+      errors.push(`${file}: "${name}" ${problem}, got ${JSON.stringify(value)}`);
+    } else if (field.type === 'image' && !assetExists(value)) {
+      errors.push(`${file}: "${name}" points to public/${value}, which does not exist`);
+    } else {
+      values[name] = value;
+    }
+  });
+
+  Object.keys(data)
+    .filter(name => !(name in fields))
+    .forEach(name => errors.push(`${file}: "${name}" is not a known field`));
+
+  return { data: values, errors };
+}
@@ -0,0 +1,51 @@
+import { collections, validateFrontMatter } from './schema';
+
+const { fields } = collections.news;
+
+const valid = {
+  title: 'Macquarie Capital reaches financial close on the Sotra Connection PPP Project',
+  date: '2022-05-30',
+  category: 'Infrastructure',
+  region: 'Europe, Middle East and Africa',
+  location: 'Bergen',
+  summary: 'Financial close on the Sotra Connection.',
+  source: 'https://www.macquarie.com/news.html',
+};
+
+test('accepts front matter that matches the schema', () => {
+  expect(validateFrontMatter(valid, fields, 'news/sotra.md')).toEqual({ data: valid, errors: [] });
+});
+
+test('names the file and field for missing and mistyped values', () => {
+  const { errors } = validateFrontMatter(
+    { ...valid, title: 42, date: '30/05/2022', region: 'Mars', location: undefined },
+    fields,
+    'news/sotra.md'
+  );
+  expect(errors).toEqual([
+    'news/sotra.md: "title" must be a non-empty string, got 42',
+    'news/sotra.md: "date" must be a real date in YYYY-MM-DD format, got "30/05/2022"',
+    'news/sotra.md: "region" must be one of: Australia and New Zealand, Americas, Asia, Europe, Middle East and Africa, Global, got "Mars"',
+    'news/sotra.md: "location" is required',
+  ]);
+});
+
+test('rejects impossible dates, unknown fields and missing images', () => {
+  const { errors } = validateFrontMatter(
+    { ...valid, date: '2022-02-30', image: 'images/missing.jpeg', colour: 'blue' },
+    fields,
+    'news/sotra.md',
+    { assetExists: () => false }
+  );
+  expect(errors).toEqual([
+    'news/sotra.md: "date" must be a real date in YYYY-MM-DD format, got "2022-02-30"',
+    'news/sotra.md: "image" points to public/images/missing.jpeg, which does not exist',
+    'news/sotra.md: "colour" is not a known field',
+  ]);
+});
+
+test('requires a hero image everywhere except news', () => {
+  const { image, ...rest } = { ...valid, image: 'images/hero.jpeg' };
+  const { errors } = validateFrontMatter({ ...rest, dealValue: '$A1 billion' }, collections.caseStudies.fields, 'a.md');
+  expect(errors).toEqual(['a.md: "image" is required', 'a.md: "location" is not a known field']);
+});
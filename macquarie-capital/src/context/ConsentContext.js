@@ -0,0 +1,113 @@
+import { createContext, useCallback, useContext, useMemo, useRef, useState } from 'react';
+import CookieBanner from '../components/CookieBanner';
+import PreferenceCentre from '../components/PreferenceCentre';
+import { CONSENT_VERSION, STRICTLY_NECESSARY, consentCategories } from '../data/consent';
+
+export const STORAGE_KEY = 'mq:consent';
+
+const ConsentContext = createContext(null);
+
+function readRecord() {
+  try {
+    const record = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    // Records from an older version of the categories no longer count.
+    return record && record.version === CONSENT_VERSION ? record : null;
+  } catch (error) {
+    // Unavailable storage or a corrupt record: ask again.
+    return null;
+  }
+}
+
+function writeRecord(record) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(record));
+  } catch (error) {
+    // The choice still applies for this visit when storage is unavailable.
+  }
+}
+
+// Every category set to `allowed`, except strictly necessary, which is
+// always on.
+export function allCategories(allowed) {
+  return Object.fromEntries(
+    consentCategories.map(category => [category.id, category.required ? true : allowed])
+  );
+}
+
+/**
+ * Self-hosted cookie consent. Shows the banner until the visitor makes a
+ * choice, and the preference centre whenever `openPreferences` is called
+ * (e.g. from the footer's "Manage cookie settings"). The choice is stored
+ * in localStorage as `{ version, updatedAt, categories }`; a record for a
+ * different CONSENT_VERSION is ignored, so the banner shows again.
+ */
+export function ConsentProvider({ children }) {
+  const [record, setRecord] = useState(readRecord);
+  const [preferencesOpen, setPreferencesOpen] = useState(false);
+  const returnFocus = useRef(null);
+
+  const save = useCallback(categories => {
+    const next = {
+      version: CONSENT_VERSION,
+      updatedAt: new Date().toISOString(),
+      categories: { ...allCategories(false), ...categories, [STRICTLY_NECESSARY]: true },
+    };
+    writeRecord(next);
+    setRecord(next);
+  }, []);
+
+  const openPreferences = useCallback(() => {
+    returnFocus.current = document.activeElement;
+    setPreferencesOpen(true);
+  }, []);
+
+  const closePreferences = useCallback(() => {
+    setPreferencesOpen(false);
+    if (returnFocus.current && returnFocus.current.isConnected) {
+      returnFocus.current.focus();
+    }
+    returnFocus.current = null;
+  }, []);
+
+  const value = useMemo(
+    () => ({
+      record,
+      categories: record ? record.categories : allCategories(false),
+      save,
+      acceptAll: () => save(allCategories(true)),
+      rejectAll: () => save(allCategories(false)),
+      preferencesOpen,
+      openPreferences,
+      closePreferences,
+    }),
+    [record, save, preferencesOpen, openPreferences, closePreferences]
+  );
+
+  return (
+    <ConsentContext.Provider value={value}>
+      {children}
+      {!record && !preferencesOpen && <CookieBanner />}
+      {preferencesOpen && <PreferenceCentre />}
+    </ConsentContext.Provider>
+  );
+}
+
+// The whole consent state and its actions, for the banner, the preference
+// centre and anything that reopens it.
+export function useConsentManager() {
+  const value = useContext(ConsentContext);
+  if (!value) {
+    throw new Error('useConsentManager must be used inside a ConsentProvider');
+  }
+  return value;
+}
+
+/**
+ * Whether the visitor has allowed a cookie category (e.g. PERFORMANCE from
+ * data/consent.js). Strictly necessary is always allowed; everything else
+ * is off until the visitor opts in.
+ */
+export function useConsent(category) {
+  const { categories } = useConsentManager();
+  return category === STRICTLY_NECESSARY || Boolean(categories[category]);
+}
@@ -0,0 +1,129 @@
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { CONSENT_VERSION, FUNCTIONAL, PERFORMANCE, STRICTLY_NECESSARY, TARGETING } from '../data/consent';
+import { ConsentProvider, STORAGE_KEY, useConsent, useConsentManager } from './ConsentContext';
+
+function Gated() {
+  const performance = useConsent(PERFORMANCE);
+  const targeting = useConsent(TARGETING);
+  const necessary = useConsent(STRICTLY_NECESSARY);
+  const { openPreferences } = useConsentManager();
+  return (
+    <>
+      <p data-testid="consent">{`necessary:${necessary} performance:${performance} targeting:${targeting}`}</p>
+      <button type="button" onClick={openPreferences}>
+        Manage cookie settings
+      </button>
+    </>
+  );
+}
+
+const renderProvider = () =>
+  render(
+    <ConsentProvider>
+      <Gated />
+    </ConsentProvider>
+  );
+
+const storedRecord = () => JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test('shows the banner and gates optional categories until a choice is made', () => {
+  renderProvider();
+
+  expect(screen.getByRole('region', { name: 'Cookie consent' })).toBeInTheDocument();
+  expect(screen.getByTestId('consent')).toHaveTextContent('necessary:true performance:false targeting:false');
+
+  userEvent.click(screen.getByRole('button', { name: 'Accept all cookies' }));
+  expect(screen.queryByRole('region', { name: 'Cookie consent' })).not.toBeInTheDocument();
+  expect(screen.getByTestId('consent')).toHaveTextContent('necessary:true performance:true targeting:true');
+  expect(storedRecord()).toEqual({
+    version: CONSENT_VERSION,
+    updatedAt: expect.any(String),
+    categories: { [STRICTLY_NECESSARY]: true, [PERFORMANCE]: true, [FUNCTIONAL]: true, [TARGETING]: true },
+  });
+});
+
+test('rejecting keeps only strictly necessary cookies', () => {
+  renderProvider();
+  userEvent.click(screen.getByRole('button', { name: 'Reject optional cookies' }));
+
+  expect(storedRecord().categories).toEqual({
+    [STRICTLY_NECESSARY]: true,
+    [PERFORMANCE]: false,
+    [FUNCTIONAL]: false,
+    [TARGETING]: false,
+  });
+  expect(screen.getByTestId('consent')).toHaveTextContent('performance:false');
+});
+
+test('restores a stored choice and asks again when the version changes', () => {
+  const categories = { [STRICTLY_NECESSARY]: true, [PERFORMANCE]: true, [FUNCTIONAL]: false, [TARGETING]: false };
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: CONSENT_VERSION, categories }));
+  const { unmount } = renderProvider();
+  expect(screen.queryByRole('region', { name: 'Cookie consent' })).not.toBeInTheDocument();
+  expect(screen.getByTestId('consent')).toHaveTextContent('performance:true targeting:false');
+  unmount();
+
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: CONSENT_VERSION - 1, categories }));
+  renderProvider();
+  expect(screen.getByRole('region', { name: 'Cookie consent' })).toBeInTheDocument();
+  expect(screen.getByTestId('consent')).toHaveTextContent('performance:false');
+});
+
+test('saves per-category choices from the preference centre', () => {
+  renderProvider();
+  userEvent.click(screen.getByRole('button', { name: 'Cookie settings' }));
+
+  const dialog = screen.getByRole('dialog', { name: 'Manage my preferences' });
+  expect(dialog).toHaveFocus();
+  expect(within(dialog).getByText('Always active')).toBeInTheDocument();
+  expect(within(dialog).queryByRole('switch', { name: 'Strictly necessary cookies' })).not.toBeInTheDocument();
+
+  const performance = within(dialog).getByRole('button', { name: 'Performance cookies' });
+  expect(performance).toHaveAttribute('aria-expanded', 'false');
+  userEvent.click(performance);
+  expect(within(dialog).getByText(/understand how people use our website/)).toBeVisible();
+
+  const toggle = within(dialog).getByRole('switch', { name: 'Performance cookies' });
+  expect(toggle).not.toBeChecked();
+  userEvent.click(toggle);
+  expect(screen.getByTestId('consent')).toHaveTextContent('performance:false');
+
+  userEvent.click(within(dialog).getByRole('button', { name: 'Save cookie settings' }));
+  expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  expect(screen.queryByRole('region', { name: 'Cookie consent' })).not.toBeInTheDocument();
+  expect(screen.getByTestId('consent')).toHaveTextContent('performance:true targeting:false');
+});
+
+test('reopens the centre with the stored choice and closes on Escape without saving', () => {
+  renderProvider();
+  userEvent.click(screen.getByRole('button', { name: 'Accept all cookies' }));
+
+  const trigger = screen.getByRole('button', { name: 'Manage cookie settings' });
+  userEvent.click(trigger);
+  const dialog = screen.getByRole('dialog', { name: 'Manage my preferences' });
+  const targeting = within(dialog).getByRole('switch', { name: 'Targeting cookies' });
+  expect(targeting).toBeChecked();
+  userEvent.click(targeting);
+
+  userEvent.keyboard('{Escape}');
+  expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  expect(trigger).toHaveFocus();
+  expect(screen.getByTestId('consent')).toHaveTextContent('targeting:true');
+});
+
+test('keeps focus inside the preference centre', () => {
+  renderProvider();
+  userEvent.click(screen.getByRole('button', { name: 'Cookie settings' }));
+  const dialog = screen.getByRole('dialog', { name: 'Manage my preferences' });
+
+  userEvent.tab({ shift: true });
+  const save = within(dialog).getByRole('button', { name: 'Save cookie settings' });
+  expect(save).toHaveFocus();
+  userEvent.tab();
+  expect(within(dialog).getByRole('button', { name: 'Close' })).toHaveFocus();
+});
@@ -0,0 +1,125 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import {
+  DEFAULT_REGION,
+  findRegion,
+  globalContent,
+  hasRegionContent,
+  loadRegionContent,
+} from '../data/regions';
+
+export const STORAGE_KEY = 'mq:region';
+export const QUERY_PARAM = 'region';
+
+const RegionContext = createContext(null);
+
+function readStoredRegion() {
+  try {
+    return window.localStorage.getItem(STORAGE_KEY);
+  } catch (error) {
+    // Storage can be unavailable (private mode, blocked cookies).
+    return null;
+  }
+}
+
+function writeStoredRegion(id) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, id);
+  } catch (error) {
+    // The URL still carries the choice when storage is unavailable.
+  }
+}
+
+// `fromUrl` when it names a region, else the stored region, else the default.
+function resolveRegion(fromUrl) {
+  if (findRegion(fromUrl)) {
+    return fromUrl;
+  }
+  const stored = readStoredRegion();
+  return findRegion(stored) ? stored : DEFAULT_REGION;
+}
+
+// The region a visit starts in, for code that runs outside the router.
+export function initialRegion() {
+  return resolveRegion(new URLSearchParams(window.location.search).get(QUERY_PARAM));
+}
+
+/**
+ * Holds the selected region and its content bundle. The region is read from
+ * the `?region=` query parameter first, then localStorage, then defaults to
+ * Australia. Choosing a region stores it, and the parameter is kept on every
+ * URL through the router, so links and navigate() calls that leave it out
+ * do not lose it. Following a link (or history entry) with a different
+ * `?region=` switches to that region. Must be rendered inside a router.
+ */
+export function RegionProvider({ children }) {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const fromUrl = new URLSearchParams(location.search).get(QUERY_PARAM);
+  const [region, setRegionState] = useState(() => resolveRegion(fromUrl));
+  const [content, setContent] = useState(globalContent);
+
+  // Only a change in the URL's region switches region here. Comparing with
+  // the current region instead would undo setRegion() for the render before
+  // the router has applied the new URL.
+  const [urlRegion, setUrlRegion] = useState(fromUrl);
+  if (fromUrl !== urlRegion) {
+    setUrlRegion(fromUrl);
+    if (findRegion(fromUrl)) {
+      setRegionState(fromUrl);
+    }
+  }
+
+  useEffect(() => {
+    if (fromUrl === region) {
+      return;
+    }
+    const params = new URLSearchParams(location.search);
+    params.set(QUERY_PARAM, region);
+    // Commas stay readable in list filters, as buildQuery() writes them.
+    const search = `?${params.toString().replace(/%2C/g, ',')}`;
+    navigate(
+      { pathname: location.pathname, search, hash: location.hash },
+      { replace: true, state: location.state }
+    );
+  }, [fromUrl, region, location, navigate]);
+
+  useEffect(() => {
+    if (!hasRegionContent(region)) {
+      setContent(globalContent);
+      return undefined;
+    }
+    let cancelled = false;
+    loadRegionContent(region).then(bundle => {
+      if (!cancelled) {
+        setContent(bundle);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [region]);
+
+  const setRegion = useCallback(id => {
+    if (!findRegion(id)) {
+      return;
+    }
+    writeStoredRegion(id);
+    setRegionState(id);
+  }, []);
+
+  const value = useMemo(
+    () => ({ region: findRegion(region), setRegion, content }),
+    [region, setRegion, content]
+  );
+
+  return <RegionContext.Provider value={value}>{children}</RegionContext.Provider>;
+}
+
+export function useRegion() {
+  const value = useContext(RegionContext);
+  if (!value) {
+    throw new Error('useRegion must be used inside a RegionProvider');
+  }
+  return value;
+}
@@ -0,0 +1,93 @@
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { Link, MemoryRouter, useLocation } from 'react-router-dom';
+import RegionSwitcher from '../components/RegionSwitcher';
+import { globalContent } from '../data/regions';
+import { footer as ukFooter } from '../data/regions/uk';
+import { footer as usFooter } from '../data/regions/us';
+import { RegionProvider, STORAGE_KEY, useRegion } from './RegionContext';
+import { ROUTER_FUTURE } from '../router';
+
+function Disclaimer() {
+  const { region, content } = useRegion();
+  const { pathname, search } = useLocation();
+  return (
+    <>
+      <p data-testid="region">{region.id}</p>
+      <p data-testid="disclaimer">{content.footer.disclaimer.text}</p>
+      <p data-testid="url">{pathname + search}</p>
+      <Link to="/news">News</Link>
+      <Link to="/news?region=uk">UK news</Link>
+    </>
+  );
+}
+
+const renderWithSwitcher = (path = '/') =>
+  render(
+    <MemoryRouter initialEntries={[path]} future={ROUTER_FUTURE}>
+      <RegionProvider>
+        <RegionSwitcher />
+        <Disclaimer />
+      </RegionProvider>
+    </MemoryRouter>
+  );
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test('defaults to Australia with the global bundle', () => {
+  renderWithSwitcher();
+  expect(screen.getByTestId('region')).toHaveTextContent('au');
+  expect(screen.getByTestId('url')).toHaveTextContent('/?region=au');
+  expect(screen.getByTestId('disclaimer')).toHaveTextContent(globalContent.footer.disclaimer.text);
+});
+
+test('prefers the region in the URL over the stored one', async () => {
+  window.localStorage.setItem(STORAGE_KEY, 'uk');
+  renderWithSwitcher('/?region=us');
+  expect(screen.getByTestId('region')).toHaveTextContent('us');
+  expect(await screen.findByText(usFooter.disclaimer.text)).toBeInTheDocument();
+});
+
+test('restores the stored region and ignores unknown ones', () => {
+  window.localStorage.setItem(STORAGE_KEY, 'sg');
+  renderWithSwitcher('/?region=atlantis');
+  expect(screen.getByTestId('region')).toHaveTextContent('sg');
+  expect(screen.getByTestId('url')).toHaveTextContent('/?region=sg');
+});
+
+test('loads the chosen region bundle and persists the choice', async () => {
+  renderWithSwitcher();
+  userEvent.click(screen.getByRole('button', { name: /region selector/i }));
+  userEvent.click(screen.getByRole('button', { name: 'United States' }));
+
+  expect(await screen.findByText(usFooter.disclaimer.text)).toBeInTheDocument();
+  expect(window.localStorage.getItem(STORAGE_KEY)).toBe('us');
+  expect(screen.getByTestId('url')).toHaveTextContent('/?region=us');
+  expect(screen.getByRole('button', { name: /region selector/i })).toHaveAttribute('aria-expanded', 'false');
+});
+
+test('falls back to the global bundle for regions without overrides', async () => {
+  renderWithSwitcher('/?region=us');
+  await screen.findByText(usFooter.disclaimer.text);
+
+  userEvent.click(screen.getByRole('button', { name: /region selector/i }));
+  userEvent.click(screen.getByRole('button', { name: 'New Zealand' }));
+
+  expect(screen.getByTestId('region')).toHaveTextContent('nz');
+  expect(screen.getByTestId('disclaimer')).toHaveTextContent(globalContent.footer.disclaimer.text);
+});
+
+test('keeps the region on links that leave it out and follows links that change it', async () => {
+  renderWithSwitcher('/?region=us');
+  await screen.findByText(usFooter.disclaimer.text);
+  userEvent.click(screen.getByRole('link', { name: 'News' }));
+  expect(screen.getByTestId('url')).toHaveTextContent('/news?region=us');
+  expect(screen.getByTestId('region')).toHaveTextContent('us');
+
+  userEvent.click(screen.getByRole('link', { name: 'UK news' }));
+  expect(await screen.findByText(ukFooter.disclaimer.text)).toBeInTheDocument();
+  userEvent.click(screen.getByRole('link', { name: 'News' }));
+  expect(screen.getByTestId('url')).toHaveTextContent('/news?region=uk');
+});
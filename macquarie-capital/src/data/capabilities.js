@@ -0,0 +1,94 @@
+// The five capabilities (Manage, Develop, Advise, Finance, Trade). This list
+// is the only place they are defined: it fills the "Capabilities" group of
+// the Impact submenu (see data/navigation.js), the LinkStack on the home
+// page and each landing page at /impact/:slug.
+//
+// `services` are ids from home.services, `caseStudies` and `insights` are
+// content slugs, each listed in the order the landing page shows them.
+import { findCaseStudy } from './caseStudies';
+import { services as serviceSection } from './home';
+import { findInsight } from './insights';
+
+export const CAPABILITY_BASE = '/impact';
+
+export const capabilities = [
+  {
+    slug: 'manage',
+    label: 'Manage',
+    description:
+      'We invest alongside our clients and partners, and manage the assets and businesses we build together over the long term.',
+    services: ['principal-investment', 'development-and-investments'],
+    caseStudies: ['creating-a-landmark-and-leaving-a-legacy-with-metro-martin-place'],
+    insights: ['infrastructure-partnerships-australia-conference', 'mobility-opportunity-decarbonising-transport'],
+  },
+  {
+    slug: 'develop',
+    label: 'Develop',
+    description:
+      'We develop infrastructure and energy projects from concept to construction, committing our own capital to turn ideas into assets.',
+    services: ['development-and-investments', 'principal-investment'],
+    caseStudies: [
+      'creating-a-landmark-and-leaving-a-legacy-with-metro-martin-place',
+      'supporting-australias-hospital-of-the-future',
+    ],
+    insights: ['accelerating-corporate-australias-transition-to-net-zero', 'mobility-opportunity-decarbonising-transport'],
+  },
+  {
+    slug: 'advise',
+    label: 'Advise',
+    description:
+      'We advise corporations, governments and investors on mergers and acquisitions, capital raisings and restructurings.',
+    services: ['mergers-and-acquisitions-advisory', 'private-capital-markets', 'equity-capital-markets'],
+    caseStudies: [
+      'executing-australias-largest-placement-during-covid-pandemic',
+      'supporting-australias-hospital-of-the-future',
+    ],
+    insights: ['2021-year-in-review-and-2022-outlook', 'supporting-australias-startup-community-with-innovation-bay'],
+  },
+  {
+    slug: 'finance',
+    label: 'Finance',
+    description:
+      'We provide flexible capital across debt and equity markets, from underwriting and lending to investing from our own balance sheet.',
+    services: ['debt-capital-markets', 'equity-capital-markets', 'private-capital-markets', 'principal-investment'],
+    caseStudies: ['executing-australias-largest-placement-during-covid-pandemic'],
+    insights: ['how-finance-is-driving-australias-green-transition'],
+  },
+  {
+    slug: 'trade',
+    label: 'Trade',
+    description:
+      'We give clients access to equity research, sales, corporate access and execution across global equities markets.',
+    services: ['equities-brokerage'],
+    caseStudies: [],
+    insights: ['2021-year-in-review-and-2022-outlook'],
+  },
+];
+
+export function capabilityHref(capability) {
+  return `${CAPABILITY_BASE}/${capability.slug}`;
+}
+
+export function findCapability(slug) {
+  return capabilities.find(capability => capability.slug === slug);
+}
+
+// Shape expected by LinkStack and the navigation submenu.
+export function capabilityLinks() {
+  return capabilities.map(capability => ({ label: capability.label, href: capabilityHref(capability) }));
+}
+
+// References that no longer resolve (e.g. deleted content) are skipped.
+const resolve = (ids, find) => ids.map(find).filter(Boolean);
+
+export function capabilityServices(capability) {
+  return resolve(capability.services, id => serviceSection.items.find(item => item.id === id));
+}
+
+export function capabilityCaseStudies(capability) {
+  return resolve(capability.caseStudies, findCaseStudy);
+}
+
+export function capabilityInsights(capability) {
+  return resolve(capability.insights, findInsight);
+}
@@ -0,0 +1,42 @@
+// Impact case studies, compiled from content/case-studies/*.md by
+// scripts/build-content.js and already sorted newest first. Each one gets a
+// detail page at /impact/case-studies/:slug and a tile in the home page
+// "Our impact" grid.
+import caseStudies from './content/caseStudies.json';
+
+export const CASE_STUDY_BASE = '/impact/case-studies';
+
+export { caseStudies };
+
+export function caseStudyHref(study) {
+  return `${CASE_STUDY_BASE}/${study.slug}`;
+}
+
+export function findCaseStudy(slug) {
+  return caseStudies.find(study => study.slug === slug);
+}
+
+/**
+ * Other case studies ranked by how much they share with `study`: a
+ * matching category (sector) counts for more than a matching region. Ties
+ * keep collection order.
+ */
+export function relatedCaseStudies(study, limit = 3) {
+  const score = other => (other.category === study.category ? 2 : 0) + (other.region === study.region ? 1 : 0);
+  return caseStudies
+    .filter(other => other !== study)
+    .map((other, index) => ({ other, index, score: score(other) }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, limit)
+    .map(({ other }) => other);
+}
+
+// Shape expected by NewsTile.
+export function caseStudyTile(study) {
+  return {
+    category: study.category,
+    title: study.title,
+    image: study.image,
+    href: caseStudyHref(study),
+  };
+}
@@ -0,0 +1,58 @@
+// Cookie consent categories and copy for the self-hosted consent manager
+// (context/ConsentContext.js). Category ids keep the OneTrust group ids the
+// reference site used, so existing tag manager triggers still match.
+
+// Bump when the categories or what they cover change: visitors with a
+// record for an older version are asked again.
+export const CONSENT_VERSION = 1;
+
+export const STRICTLY_NECESSARY = 'C0001';
+export const PERFORMANCE = 'C0002';
+export const FUNCTIONAL = 'C0003';
+export const TARGETING = 'C0004';
+
+export const consentCategories = [
+  {
+    id: STRICTLY_NECESSARY,
+    label: 'Strictly necessary cookies',
+    required: true,
+    description:
+      'These cookies are necessary for the website to function and cannot be switched off. They are usually only set in response to actions made by you which amount to a request for services, such as setting your privacy preferences, logging in or filling in forms. You can set your browser to block or alert you about these cookies, but then some parts of the site will not work. These cookies do not store any personally identifiable information.',
+  },
+  {
+    id: PERFORMANCE,
+    label: 'Performance cookies',
+    description:
+      'These cookies allow us to understand how people use our website, so that we can improve the user experience and performance. They help us to know which pages are the most and least popular and see how visitors move around the site. All information collected by these cookies is aggregated and is typically anonymous.',
+  },
+  {
+    id: FUNCTIONAL,
+    label: 'Functional cookies',
+    description:
+      'These cookies enable the website to provide enhanced functionality and personalisation. They may be set by us or by third-party providers whose services we have included on our website. If you do not allow these cookies, then some or all of these services may not function properly.',
+  },
+  {
+    id: TARGETING,
+    label: 'Targeting cookies',
+    description:
+      'These cookies may be set through our site by our advertising partners. They may be used by those companies to build a profile of your interests and show you relevant advertising on other sites. They do not directly store personal information but are based on uniquely identifying your browser and internet device. If you do not allow these cookies, you will experience less relevant advertising.',
+  },
+];
+
+export const consentCopy = {
+  banner: {
+    label: 'Cookie consent',
+    text: 'We use cookies that are necessary for this website to work. With your consent, we also use optional cookies to improve our website, provide extra features and support our marketing. You can accept all cookies, reject the optional ones or choose which to allow.',
+  },
+  preferences: {
+    heading: 'Manage my preferences',
+    paragraphs: [
+      "A 'cookie' is a packet of information placed on a user's computer by a website for record keeping purposes. Cookies are generally used on Macquarie Group sites to access online services, manage advertising, monitor traffic and monitor your use of our website.",
+      'We may also use cookies to provide optional features, improve our website and support our marketing. Where relevant, our third-party providers will help us make use of these optional cookies. You can choose which types of optional cookies you wish to accept.',
+    ],
+  },
+  policy: {
+    label: 'Privacy and Cookies Policy',
+    href: 'https://www.macquarie.com/disclosures/privacy-and-cookies.html',
+  },
+};
@@ -0,0 +1,49 @@
+// Footer config: every link, label and the disclaimer the Footer renders.
+// Region bundles (data/regions) swap in their own disclaimer with
+// `withDisclaimer`; everything else is shared.
+//
+// Links with `external` open in a new window. A sub-nav item with an
+// `action` instead of an `href` renders as a button the Footer wires up,
+// e.g. "manage-cookies" reopens the cookie preference centre.
+
+const SITE = 'https://www.macquarie.com/au/en';
+
+export const footer = {
+  disclaimer: {
+    heading: 'Disclaimer',
+    text: 'This information is a general description of the Macquarie Group only. Before acting on any information, you should consider the appropriateness of it having regard to your particular objectives, financial situation and needs and seek advice. No information set out above constitutes advice, an advertisement, an invitation, a confirmation, an offer or a solicitation, to buy or sell any security or other financial, credit or lending product or to engage in any investment activity, or an offer of any banking or financial service. Some products and/or services mentioned on this website may not be suitable for you and may not be available in all jurisdictions. All securities and financial products or instrument transactions involve risks. Past performance of any product described on this site is not a reliable indication of future performance.',
+  },
+  social: {
+    label: 'Follow us',
+    links: [
+      { label: 'Facebook', href: 'https://www.facebook.com/MacquarieGroup/', external: true },
+      { label: 'Twitter', href: 'https://twitter.com/Macquarie', external: true },
+      { label: 'LinkedIn', href: 'https://www.linkedin.com/company/macquariegroup/', external: true },
+      { label: 'Instagram', href: 'https://www.instagram.com/macquariegroup/?hl=en', external: true },
+      { label: 'YouTube', href: 'https://www.youtube.com/user/macquarie', external: true },
+    ],
+  },
+  nav: [
+    {
+      label: 'Macquarie Bank',
+      href: 'https://www.macquarie.com.au/?utm_source=group&utm_medium=website&utm_campaign=home&utm_content=footer',
+      external: true,
+    },
+    { label: 'Discover', href: `${SITE}/about/discover.html` },
+    { label: 'Contact', href: `${SITE}/about/contact.html` },
+  ],
+  // Rendered as "© <current year> <holder>".
+  copyrightHolder: 'Macquarie Group Limited',
+  subNav: [
+    { label: 'Important information', href: `${SITE}/disclosures/important-terms-and-information.html` },
+    { label: 'Disclosures', href: `${SITE}/disclosures.html` },
+    { label: 'Privacy and cookies', href: `${SITE}/disclosures/privacy-and-cookies.html` },
+    { label: 'Manage cookie settings', action: 'manage-cookies' },
+    { label: 'Sitemap', href: `${SITE}/sitemap.html` },
+  ],
+};
+
+// The shared footer with a region's own disclaimer text.
+export function withDisclaimer(text) {
+  return { ...footer, disclaimer: { ...footer.disclaimer, text } };
+}
@@ -0,0 +1,176 @@
+// Content for the Macquarie Capital home page, taken section by section
+// from reference/Macquarie Capital.html. Image paths are relative to public/.
+
+const SITE = 'https://www.macquarie.com/au/en';
+
+export const hero = {
+  category: 'Company',
+  heading: 'Macquarie Capital',
+  image: 'images/maccap-home-hero-1920.jpeg',
+  mobileImage: 'images/maccap-home-hero-1920.png',
+};
+
+export const intro = {
+  heading: 'Connecting ideas and capital',
+  paragraphs: [
+    'Macquarie Capital combines specialist expertise, innovative advice and flexible capital solutions to help our clients and partners make opportunity reality.',
+    'Our global corporate advisory, investing, development and equities capabilities are underpinned by a full spectrum of capital markets solutions and deep sector expertise, with a focus on infrastructure and real assets; technology, software and services; and resources, energy and materials.',
+  ],
+};
+
+export const facts = [
+  {
+    icon: 'images/asset-257-macquarie-icons.png',
+    heading: '$A457 billion',
+    description: 'worth of transactions in the year ended 31 March 2022',
+    footnote: 1,
+  },
+  {
+    icon: 'images/asset-551-macquarie-icons.png',
+    heading: 'No. 1 in ANZ',
+    description: 'for M&A',
+    footnote: 2,
+  },
+  {
+    icon: 'images/asset-508-macquarie-icons.png',
+    heading: 'No.1 ANZ',
+    description: 'Infrastructure Financial Adviser',
+    footnote: 4,
+  },
+];
+
+// Tiles come from the case study collection in caseStudies.js.
+export const impact = {
+  heading: 'Our impact',
+};
+
+// Tiles come from the insight collection in insights.js, minus the
+// featured one.
+export const insights = {
+  heading: 'Our insights',
+  featured: {
+    slug: 'how-finance-is-driving-australias-green-transition',
+    heading: 'How finance is driving Australia’s green transition',
+    quote: '“Investors are looking to deploy their capital into companies and assets that have charted a clear path towards sustainability”.',
+    image: 'images/hero-how-finance-is-driving-australias-green-transistion.jpeg',
+    cta: {
+      label: 'Learn more',
+      href: '/perspectives/how-finance-is-driving-australias-green-transition',
+    },
+  },
+};
+
+export const expertise = {
+  heading: 'Discover more of our expertise',
+  tiles: [
+    {
+      icon: 'images/asset-189-macquarie-icons.png',
+      heading: 'Technology-enabled innovation',
+      description: 'Discover the technological trends and advances that are powering innovation across sectors.',
+      cta: {
+        label: 'Learn more',
+        href: `${SITE}/about/company/macquarie-capital/advisory-and-capital-solutions`,
+      },
+    },
+    {
+      icon: 'images/asset-113-macquarie-icons.png',
+      heading: 'Evolving infrastructure',
+      description: 'Explore our industry-leading, specialist expertise in transport, digital and social infrastructure, energy and utilities.',
+      cta: {
+        label: 'Learn more',
+        href: `${SITE}/about/company/macquarie-capital/infrastructure-and-energy`,
+      },
+    },
+  ],
+};
+
+export const services = {
+  heading: 'Our services',
+  description: 'A full spectrum of capabilities to help uncover opportunities for businesses, entrepreneurs, governments and investors across 12 key sectors: Aerospace, defence & government services; Consumer, gaming & leisure; Critical minerals & energy; Financial institutions; Healthcare; Green energy; Infrastructure; Industrials; Real estate; Services; Technology; and Telecommunications & media.',
+  items: [
+    {
+      id: 'mergers-and-acquisitions-advisory',
+      title: 'Mergers and Acquisitions Advisory',
+      paragraphs: [
+        'We advise clients on strategic and financial issues including M&A, divestments, takeover responses, debt and equity financing, capital management and restructuring.',
+        'Macquarie Capital is the No.1 infrastructure financial advisor and No.1 renewables financial advisor globally.',
+      ],
+    },
+    {
+      id: 'principal-investment',
+      title: 'Principal Investment',
+      paragraphs: [
+        'Utilising Macquarie’s balance sheet, our principal finance team invests alongside our clients and partners and provides flexible finance solutions to support transactions, develop assets, build businesses and create investment platforms.',
+      ],
+      link: {
+        label: 'Find out more about our principal finance capabilities',
+        href: `${SITE}/about/company/macquarie-capital/principal-finance.html`,
+      },
+    },
+    {
+      id: 'development-and-investments',
+      title: 'Development and Investments',
+      paragraphs: [
+        'A pioneer in project finance, our infrastructure and energy capital team develop and invest in infrastructure and energy projects and companies, with a focus on transport, social and digital infrastructure. They also provide specialist expertise in complex transactions and emerging markets and opportunities.',
+      ],
+    },
+    {
+      id: 'private-capital-markets',
+      title: 'Private Capital Markets',
+      paragraphs: [
+        'A dedicated team with specialist capability working with global institutional investors on private capital transactions across both debt and equity markets and unlisted and direct investment opportunities.',
+      ],
+    },
+    {
+      id: 'equity-capital-markets',
+      title: 'Equity Capital Markets',
+      paragraphs: [
+        'A leading underwriter of equity issuances, with access to the expertise and global distribution strength of Macquarie Group.',
+      ],
+    },
+    {
+      id: 'debt-capital-markets',
+      title: 'Debt Capital Markets',
+      paragraphs: [
+        'Debt advisory, underwriting and lending services across the full spectrum of debt markets, products and sectors.',
+      ],
+    },
+    {
+      id: 'equities-brokerage',
+      title: 'Equities Brokerage',
+      paragraphs: [
+        'We’ve been active in equities markets for more than 25 years, providing clients with access to award-winning equity research, sales, corporate access and execution capabilities.',
+      ],
+      link: {
+        label: 'Find out more about our equities brokerage capabilities',
+        href: `${SITE}/about/company/macquarie-capital/equities.html`,
+      },
+    },
+  ],
+  equities: {
+    heading: 'Equities sales, research and execution',
+    description: 'Discover our equity research, sales, trading and execution capabilities.',
+    image: 'images/maccap-equities-hero-1920.jpeg',
+    cta: {
+      label: 'Learn more',
+      href: `${SITE}/about/company/macquarie-capital/equities.html`,
+    },
+  },
+};
+
+// Quotes and story tiles come from the people profiles in people.js:
+// `quotes` names the profiles the carousel rotates through, in order
+// (profiles without a quote are skipped), and the `limit` most recent
+// stories are shown as tiles. Only Michael Silverton's profile has a
+// sourced quote so far, so the home page shows that quote on its own; the
+// carousel starts rotating once a second featured profile has a quote.
+export const people = {
+  heading: 'Our people',
+  quotes: ['michael-silverton'],
+  limit: 2,
+};
+
+export const news = {
+  heading: 'Recent news',
+  limit: 4,
+};
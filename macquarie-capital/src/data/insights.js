@@ -0,0 +1,40 @@
+// Perspectives (insights), compiled from content/perspectives/*.md by
+// scripts/build-content.js and already sorted newest first. Each one has an
+// article page at /perspectives/:slug.
+import perspectives from './content/perspectives.json';
+
+export const INSIGHT_BASE = '/perspectives';
+
+export const insights = perspectives.map(insight => ({
+  ...insight,
+  href: `${INSIGHT_BASE}/${insight.slug}`,
+}));
+
+// Every category used by an insight, alphabetically.
+export const insightCategories = Array.from(new Set(insights.map(insight => insight.category))).sort();
+
+export function findInsight(slug) {
+  return insights.find(insight => insight.slug === slug);
+}
+
+/**
+ * Other insights for the "related" tiles under an article: those in the
+ * same category first, then the rest, newest first within each.
+ */
+export function relatedInsights(insight, limit = 3) {
+  const others = insights.filter(other => other !== insight);
+  return [
+    ...others.filter(other => other.category === insight.category),
+    ...others.filter(other => other.category !== insight.category),
+  ].slice(0, limit);
+}
+
+// Shape expected by TileLib.
+export function insightTile(insight) {
+  return {
+    category: insight.category,
+    title: insight.title,
+    image: insight.image,
+    href: insight.href,
+  };
+}
@@ -0,0 +1,21 @@
+// Header navigation tree. The structure lives in navigation.json; a group
+// with `"links": "capabilities"` is filled in from data/capabilities.js so
+// the Impact submenu always matches the capability pages.
+import { capabilityLinks } from './capabilities';
+import tree from './navigation.json';
+
+const generatedLinks = {
+  capabilities: capabilityLinks,
+};
+
+const navigation = {
+  ...tree,
+  items: tree.items.map(item => ({
+    ...item,
+    groups: item.groups.map(group =>
+      typeof group.links === 'string' ? { ...group, links: generatedLinks[group.links]() } : group
+    ),
+  })),
+};
+
+export default navigation;
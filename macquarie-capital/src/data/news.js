@@ -0,0 +1,25 @@
+// News releases, compiled from content/news/*.md by
+// scripts/build-content.js and already sorted newest first. Each one has a
+// press release page at /news/:slug.
+import compiled from './content/news.json';
+import { CONTENT_REGIONS } from '../content/schema';
+
+export const NEWS_BASE = '/news';
+
+export const news = compiled.map(item => ({
+  ...item,
+  href: `${NEWS_BASE}/${item.slug}`,
+}));
+
+// Every region with at least one release, in CONTENT_REGIONS order.
+export const newsRegions = CONTENT_REGIONS.filter(region => news.some(item => item.region === region));
+
+export function findNews(slug) {
+  return news.find(item => item.slug === slug);
+}
+
+// Releases in the order of `slugs`, for region bundles that lead with
+// their local news.
+export function newsBySlug(slugs) {
+  return slugs.map(findNews);
+}
@@ -0,0 +1,30 @@
+// People profiles, compiled from content/people/*.md by
+// scripts/build-content.js and already sorted newest first. Each one has a
+// story page at /careers/our-people/:slug.
+import profiles from './content/people.json';
+
+export const PEOPLE_BASE = '/careers/our-people';
+
+export const people = profiles.map(person => ({
+  ...person,
+  href: `${PEOPLE_BASE}/${person.slug}`,
+}));
+
+export function findPerson(slug) {
+  return people.find(person => person.slug === slug);
+}
+
+// Profiles with a quote, in the order of `slugs`, for the quote carousel.
+export function featuredQuotes(slugs) {
+  return slugs.map(findPerson).filter(person => person && person.quote);
+}
+
+// Shape expected by NewsTile.
+export function personTile(person) {
+  return {
+    category: person.category,
+    title: person.title,
+    image: person.image,
+    href: person.href,
+  };
+}
@@ -0,0 +1,13 @@
+// Content shared by every region. Region bundles in this directory only
+// list the fields they override; anything they leave out falls back to here.
+
+// Every release, newest first; the home page shows the latest few.
+export { news } from '../news';
+
+export const contact = {
+  label: 'Contact a specialist',
+  href: 'mailto:MACCAPEnquiries@macquarie.com',
+};
+
+// Footer with the general disclaimer; see data/footer.js.
+export { footer } from '../footer';
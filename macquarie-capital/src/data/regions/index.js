@@ -0,0 +1,43 @@
+import * as globalBundle from './global';
+import regionGroups from './regions.json';
+
+export { regionGroups };
+
+export const DEFAULT_REGION = 'au';
+
+export const globalContent = { ...globalBundle };
+
+// Regions with their own content bundle. Each bundle is split into its own
+// chunk and only fetched once the region is selected.
+const bundles = {
+  uk: () => import('./uk'),
+  us: () => import('./us'),
+};
+
+export function findRegion(id) {
+  for (const group of regionGroups) {
+    const region = group.regions.find(candidate => candidate.id === id);
+    if (region) {
+      return region;
+    }
+  }
+  return null;
+}
+
+export function hasRegionContent(id) {
+  return id in bundles;
+}
+
+/**
+ * Resolves the content for a region: its own bundle merged over the global
+ * one, or the global bundle alone when the region has no overrides or its
+ * bundle fails to load.
+ */
+export function loadRegionContent(id) {
+  if (!hasRegionContent(id)) {
+    return Promise.resolve(globalContent);
+  }
+  return bundles[id]()
+    .then(bundle => ({ ...globalContent, ...bundle }))
+    .catch(() => globalContent);
+}
@@ -0,0 +1,13 @@
+// United Kingdom overrides: European news first and the FCA disclaimer.
+
+import { withDisclaimer } from '../footer';
+import { newsBySlug } from '../news';
+
+export const news = newsBySlug([
+  'senior-appointments-in-technology-media-and-telecoms',
+  'financial-close-on-the-sotra-connection-ppp-project',
+]);
+
+export const footer = withDisclaimer(
+  'This information is a general description of the Macquarie Group only. Macquarie Capital (Europe) Limited is authorised and regulated by the Financial Conduct Authority. No information set out above constitutes advice, an advertisement, an invitation, a confirmation, an offer or a solicitation, to buy or sell any security or other financial, credit or lending product or to engage in any investment activity. All securities and financial products or instrument transactions involve risks. Past performance of any product described on this site is not a reliable indication of future performance.'
+);
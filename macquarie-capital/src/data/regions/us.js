@@ -0,0 +1,14 @@
+// United States overrides: local news first and the US broker-dealer
+// disclaimer.
+
+import { withDisclaimer } from '../footer';
+import { newsBySlug } from '../news';
+
+export const news = newsBySlug([
+  'senior-appointments-in-financial-sponsors',
+  'macquarie-capital-led-consortium-awarded-ruta-minera-road-contract',
+]);
+
+export const footer = withDisclaimer(
+  'This information is a general description of the Macquarie Group only. Macquarie Capital (USA) Inc. is a registered broker-dealer and a member of FINRA and SIPC. Nothing on this website constitutes an offer to sell, or a solicitation of an offer to buy, any security or other financial product. Any securities offered in the United States are offered through Macquarie Capital (USA) Inc. All securities and financial products or instrument transactions involve risks. Past performance of any product described on this site is not a reliable indication of future performance.'
+);
@@ -0,0 +1,25 @@
+// Third-party scripts the reference page loaded unconditionally. Each is
+// injected by ScriptGate only once its consent `category` is allowed, and
+// removed, with its `cookies` and `globals`, if consent is withdrawn.
+import { PERFORMANCE } from './consent';
+
+export const GTM_CONTAINER_ID = 'GTM-ND5NW7V';
+
+export const thirdPartyScripts = [
+  {
+    id: 'google-tag-manager',
+    category: PERFORMANCE,
+    src: `https://www.googletagmanager.com/gtm.js?id=${GTM_CONTAINER_ID}`,
+    // Replays dataLayer pushes queued before consent; see analytics/dataLayer.js.
+    dataLayer: true,
+    cookies: [/^_ga/, '_gid', /^_gat/, '_gcl_au'],
+    globals: ['google_tag_manager'],
+  },
+  {
+    id: 'google-analytics',
+    category: PERFORMANCE,
+    src: 'https://www.google-analytics.com/analytics.js',
+    cookies: [/^_ga/, '_gid', /^_gat/],
+    globals: ['ga', 'GoogleAnalyticsObject', 'gaplugins', 'gaGlobal'],
+  },
+];
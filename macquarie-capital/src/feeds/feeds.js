@@ -0,0 +1,201 @@
+import { slugify } from '../utils/slug';
+
+export const FEEDS_DIR = 'feeds';
+
+// File name for each format inside a feed's directory.
+export const FEED_FILES = {
+  rss: 'rss.xml',
+  atom: 'atom.xml',
+  json: 'feed.json',
+};
+
+const MIME_TYPES = {
+  jpeg: 'image/jpeg',
+  jpg: 'image/jpeg',
+  png: 'image/png',
+  svg: 'image/svg+xml',
+  webp: 'image/webp',
+};
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function cdata(html) {
+  return `<![CDATA[${html.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+// Flattens compiled Markdown blocks (see src/content/markdown.js) back into
+// one HTML string for feed readers.
+export function blocksToHtml(blocks) {
+  return blocks
+    .map(block => {
+      if (block.type === 'heading') {
+        return `<h${block.depth}>${escapeXml(block.text)}</h${block.depth}>`;
+      }
+      if (block.type === 'quote') {
+        const cite = block.attribution ? `<cite>${escapeXml(block.attribution)}</cite>` : '';
+        return `<blockquote><p>${escapeXml(block.text)}</p>${cite}</blockquote>`;
+      }
+      return block.html;
+    })
+    .join('\n');
+}
+
+/**
+ * Turns a content entry (news release or insight) into a feed item with
+ * absolute URLs. `imageSize(path)` returns the byte size of an image under
+ * public/, which RSS enclosures require.
+ */
+export function feedItem(entry, { siteUrl, imageSize }) {
+  const item = {
+    id: `${siteUrl}${entry.href}`,
+    url: `${siteUrl}${entry.href}`,
+    title: entry.title,
+    summary: entry.summary,
+    contentHtml: blocksToHtml(entry.blocks),
+    date: new Date(`${entry.date}T00:00:00Z`),
+    categories: [entry.category, entry.region],
+  };
+  if (entry.image) {
+    const extension = entry.image.split('.').pop().toLowerCase();
+    item.image = {
+      url: `${siteUrl}/${entry.image}`,
+      type: MIME_TYPES[extension],
+      size: imageSize(entry.image),
+    };
+  }
+  return item;
+}
+
+/**
+ * Every feed to publish for a collection: one for the whole collection, one
+ * per region and one per category. Each has a `path` under feeds/ (e.g.
+ * "news/region/americas"), a title and its entries, newest first.
+ */
+export function feedVariants(name, label, entries) {
+  const variants = [{ path: name, title: `Macquarie Capital ${label}`, entries }];
+  [
+    ['region', entry => entry.region],
+    ['category', entry => entry.category],
+  ].forEach(([kind, valueOf]) => {
+    Array.from(new Set(entries.map(valueOf)))
+      .sort()
+      .forEach(value => {
+        variants.push({
+          path: `${name}/${kind}/${slugify(value)}`,
+          title: `Macquarie Capital ${label}: ${value}`,
+          entries: entries.filter(entry => valueOf(entry) === value),
+        });
+      });
+  });
+  return variants;
+}
+
+// `feed` is `{ title, description, homeUrl, feedUrls: { rss, atom, json }, items }`.
+export function formatRss(feed) {
+  const items = feed.items.map(item =>
+    [
+      '    <item>',
+      `      <title>${escapeXml(item.title)}</title>`,
+      `      <link>${escapeXml(item.url)}</link>`,
+      `      <guid isPermaLink="true">${escapeXml(item.id)}</guid>`,
+      `      <pubDate>${item.date.toUTCString()}</pubDate>`,
+      `      <description>${escapeXml(item.summary)}</description>`,
+      `      <content:encoded>${cdata(item.contentHtml)}</content:encoded>`,
+      ...item.categories.map(category => `      <category>${escapeXml(category)}</category>`),
+      ...(item.image
+        ? [
+            `      <enclosure url="${escapeXml(item.image.url)}" length="${item.image.size}" type="${item.image.type}"/>`,
+          ]
+        : []),
+      '    </item>',
+    ].join('\n')
+  );
+  const updated = feed.items.length > 0 ? feed.items[0].date : new Date(0);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.homeUrl)}</link>`,
+    `    <description>${escapeXml(feed.description)}</description>`,
+    '    <language>en-au</language>',
+    `    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>`,
+    `    <atom:link href="${escapeXml(feed.feedUrls.rss)}" rel="self" type="application/rss+xml"/>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    '',
+  ].join('\n');
+}
+
+export function formatAtom(feed) {
+  const entries = feed.items.map(item =>
+    [
+      '  <entry>',
+      `    <title>${escapeXml(item.title)}</title>`,
+      `    <link href="${escapeXml(item.url)}"/>`,
+      `    <id>${escapeXml(item.id)}</id>`,
+      `    <published>${item.date.toISOString()}</published>`,
+      `    <updated>${item.date.toISOString()}</updated>`,
+      `    <summary>${escapeXml(item.summary)}</summary>`,
+      `    <content type="html">${escapeXml(item.contentHtml)}</content>`,
+      ...item.categories.map(category => `    <category term="${escapeXml(category)}"/>`),
+      ...(item.image
+        ? [
+            `    <link rel="enclosure" href="${escapeXml(item.image.url)}" type="${item.image.type}" length="${item.image.size}"/>`,
+          ]
+        : []),
+      '  </entry>',
+    ].join('\n')
+  );
+  const updated = feed.items.length > 0 ? feed.items[0].date : new Date(0);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en-AU">',
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `  <id>${escapeXml(feed.feedUrls.atom)}</id>`,
+    `  <link href="${escapeXml(feed.homeUrl)}"/>`,
+    `  <link rel="self" href="${escapeXml(feed.feedUrls.atom)}"/>`,
+    `  <updated>${updated.toISOString()}</updated>`,
+    '  <author><name>Macquarie Capital</name></author>',
+    ...entries,
+    '</feed>',
+    '',
+  ].join('\n');
+}
+
+export function formatJsonFeed(feed) {
+  const json = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    description: feed.description,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.feedUrls.json,
+    language: 'en-AU',
+    authors: [{ name: 'Macquarie Capital' }],
+    items: feed.items.map(item => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      summary: item.summary,
+      content_html: item.contentHtml,
+      date_published: item.date.toISOString(),
+      tags: item.categories,
+      ...(item.image && {
+        image: item.image.url,
+        attachments: [{ url: item.image.url, mime_type: item.image.type, size_in_bytes: item.image.size }],
+      }),
+    })),
+  };
+  return `${JSON.stringify(json, null, 2)}\n`;
+}
@@ -0,0 +1,108 @@
+import { feedItem, feedVariants, formatAtom, formatJsonFeed, formatRss } from './feeds';
+
+const siteUrl = 'https://example.com';
+
+const release = {
+  slug: 'sotra',
+  href: '/news/sotra',
+  title: 'Sotra Connection reaches financial close & more',
+  date: '2022-03-16',
+  category: 'Infrastructure',
+  region: 'Europe, Middle East and Africa',
+  image: 'images/sotra.jpeg',
+  summary: 'Financial close on the <Sotra> Connection.',
+  blocks: [
+    { type: 'heading', depth: 2, id: 'overview', text: 'Overview' },
+    { type: 'quote', text: 'A landmark project.', attribution: 'Macquarie Capital' },
+    { type: 'html', html: '<p>Construction starts this year.</p>' },
+  ],
+};
+
+const appointment = {
+  ...release,
+  slug: 'appointments',
+  href: '/news/appointments',
+  title: 'Senior appointments',
+  category: 'Appointments',
+  region: 'Americas',
+  image: undefined,
+};
+
+const feedFor = items => ({
+  title: 'Macquarie Capital news',
+  description: 'Media releases.',
+  homeUrl: `${siteUrl}/news`,
+  feedUrls: {
+    rss: `${siteUrl}/feeds/news/rss.xml`,
+    atom: `${siteUrl}/feeds/news/atom.xml`,
+    json: `${siteUrl}/feeds/news/feed.json`,
+  },
+  items: items.map(entry => feedItem(entry, { siteUrl, imageSize: () => 2048 })),
+});
+
+test('builds absolute items with categories, full content and an image enclosure', () => {
+  const item = feedItem(release, { siteUrl, imageSize: () => 2048 });
+  expect(item).toMatchObject({
+    url: 'https://example.com/news/sotra',
+    categories: ['Infrastructure', 'Europe, Middle East and Africa'],
+    image: { url: 'https://example.com/images/sotra.jpeg', type: 'image/jpeg', size: 2048 },
+  });
+  expect(item.contentHtml).toBe(
+    '<h2>Overview</h2>\n<blockquote><p>A landmark project.</p><cite>Macquarie Capital</cite></blockquote>\n<p>Construction starts this year.</p>'
+  );
+  expect(feedItem(appointment, { siteUrl, imageSize: () => 0 }).image).toBeUndefined();
+});
+
+test('publishes a feed per collection, region and category', () => {
+  expect(
+    feedVariants('news', 'news', [release, appointment]).map(({ path, title, entries }) => [
+      path,
+      title,
+      entries.length,
+    ])
+  ).toEqual([
+    ['news', 'Macquarie Capital news', 2],
+    ['news/region/americas', 'Macquarie Capital news: Americas', 1],
+    ['news/region/europe-middle-east-and-africa', 'Macquarie Capital news: Europe, Middle East and Africa', 1],
+    ['news/category/appointments', 'Macquarie Capital news: Appointments', 1],
+    ['news/category/infrastructure', 'Macquarie Capital news: Infrastructure', 1],
+  ]);
+});
+
+test('renders escaped RSS with content, categories and enclosures', () => {
+  const rss = formatRss(feedFor([release, appointment]));
+  expect(rss).toContain('<title>Sotra Connection reaches financial close &amp; more</title>');
+  expect(rss).toContain('<description>Financial close on the &lt;Sotra&gt; Connection.</description>');
+  expect(rss).toContain('<content:encoded><![CDATA[<h2>Overview</h2>');
+  expect(rss).toContain('<pubDate>Wed, 16 Mar 2022 00:00:00 GMT</pubDate>');
+  expect(rss).toContain('<category>Europe, Middle East and Africa</category>');
+  expect(rss.match(/<enclosure /g)).toHaveLength(1);
+  expect(rss).toContain('<enclosure url="https://example.com/images/sotra.jpeg" length="2048" type="image/jpeg"/>');
+});
+
+test('renders Atom entries with escaped HTML content', () => {
+  const atom = formatAtom(feedFor([release]));
+  expect(atom).toContain('<updated>2022-03-16T00:00:00.000Z</updated>');
+  expect(atom).toContain('<content type="html">&lt;h2&gt;Overview&lt;/h2&gt;');
+  expect(atom).toContain('<category term="Infrastructure"/>');
+  expect(atom).toContain(
+    '<link rel="enclosure" href="https://example.com/images/sotra.jpeg" type="image/jpeg" length="2048"/>'
+  );
+});
+
+test('renders a JSON Feed 1.1 document', () => {
+  const json = JSON.parse(formatJsonFeed(feedFor([release, appointment])));
+  expect(json).toMatchObject({
+    version: 'https://jsonfeed.org/version/1.1',
+    feed_url: 'https://example.com/feeds/news/feed.json',
+    home_page_url: 'https://example.com/news',
+  });
+  expect(json.items[0]).toMatchObject({
+    id: 'https://example.com/news/sotra',
+    date_published: '2022-03-16T00:00:00.000Z',
+    tags: ['Infrastructure', 'Europe, Middle East and Africa'],
+    image: 'https://example.com/images/sotra.jpeg',
+    attachments: [{ url: 'https://example.com/images/sotra.jpeg', mime_type: 'image/jpeg', size_in_bytes: 2048 }],
+  });
+  expect(json.items[1]).not.toHaveProperty('attachments');
+});
@@ -0,0 +1,51 @@
+import { useEffect, useLayoutEffect, useState } from 'react';
+import { useInView } from './useInView';
+
+const easeOutCubic = progress => 1 - (1 - progress) ** 3;
+
+function canAnimate() {
+  if (typeof window === 'undefined' || typeof window.IntersectionObserver !== 'function') {
+    return false;
+  }
+  return !(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+}
+
+/**
+ * Counts from 0 up to `target` once the element behind `ref` is half in
+ * view. Server renders, reduced-motion users and browsers without
+ * IntersectionObserver get `target` straight away.
+ */
+export function useCountUp(ref, target, { duration = 1500 } = {}) {
+  const [animate] = useState(() => target !== null && canAnimate());
+  const [current, setCurrent] = useState(target);
+  const inView = useInView(ref, { enabled: animate, threshold: 0.5, fallback: false });
+
+  // Reset before the first paint so the final value never flashes up first.
+  useLayoutEffect(() => {
+    if (animate) {
+      setCurrent(0);
+    }
+  }, [animate]);
+
+  useEffect(() => {
+    if (!animate || !inView) {
+      return undefined;
+    }
+    let frame;
+    let start;
+    const step = time => {
+      if (start === undefined) {
+        start = time;
+      }
+      const progress = Math.min((time - start) / duration, 1);
+      setCurrent(target * easeOutCubic(progress));
+      if (progress < 1) {
+        frame = window.requestAnimationFrame(step);
+      }
+    };
+    frame = window.requestAnimationFrame(step);
+    return () => window.cancelAnimationFrame(frame);
+  }, [animate, inView, target, duration]);
+
+  return current;
+}
@@ -0,0 +1,17 @@
+import { useEffect } from 'react';
+
+export const SITE_TITLE = 'Macquarie Capital | Macquarie Group';
+
+/**
+ * Prefixes the document title with `title` while the calling page is
+ * mounted, and restores the previous title when it unmounts.
+ */
+export function useDocumentTitle(title) {
+  useEffect(() => {
+    const previous = document.title;
+    document.title = title ? `${title} | ${SITE_TITLE}` : SITE_TITLE;
+    return () => {
+      document.title = previous;
+    };
+  }, [title]);
+}
@@ -0,0 +1,32 @@
+import { useEffect, useState } from 'react';
+
+/**
+ * Turns true once the element behind `ref` has come into view, then stays
+ * true. Returns `fallback` straight away when the browser has no
+ * IntersectionObserver, and true immediately when `enabled` is false.
+ */
+export function useInView(ref, { enabled = true, rootMargin = '0px', threshold = 0, fallback = true } = {}) {
+  const [inView, setInView] = useState(!enabled);
+
+  useEffect(() => {
+    if (inView) {
+      return undefined;
+    }
+    if (typeof window.IntersectionObserver !== 'function') {
+      setInView(fallback);
+      return undefined;
+    }
+    const observer = new window.IntersectionObserver(
+      entries => {
+        if (entries.some(entry => entry.isIntersecting)) {
+          setInView(true);
+        }
+      },
+      { rootMargin, threshold }
+    );
+    observer.observe(ref.current);
+    return () => observer.disconnect();
+  }, [inView, ref, rootMargin, threshold, fallback]);
+
+  return inView;
+}
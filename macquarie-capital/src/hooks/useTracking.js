@@ -0,0 +1,39 @@
+import { useEffect, useRef } from 'react';
+import { track } from '../analytics/track';
+
+/**
+ * Click handler that tracks `event` with `payload`, then calls `onClick`
+ * (if any). For links and buttons such as CTAs and tiles.
+ */
+export function useTrackedClick(event, payload, onClick) {
+  return clickEvent => {
+    track(event, payload);
+    if (onClick) {
+      onClick(clickEvent);
+    }
+  };
+}
+
+/**
+ * Tracks `event` whenever `active` becomes true, and again whenever the
+ * payload changes while it stays true, e.g. a menu opening. With `delay`,
+ * the event is only sent once nothing has changed for that long, so a
+ * search query is tracked once typing pauses rather than per keystroke.
+ */
+export function useTrackWhen(event, payload, active, { delay = 0 } = {}) {
+  const key = JSON.stringify(payload);
+  const latest = useRef(payload);
+  latest.current = payload;
+
+  useEffect(() => {
+    if (!active) {
+      return undefined;
+    }
+    if (delay === 0) {
+      track(event, latest.current);
+      return undefined;
+    }
+    const timer = window.setTimeout(() => track(event, latest.current), delay);
+    return () => window.clearTimeout(timer);
+  }, [event, key, active, delay]);
+}
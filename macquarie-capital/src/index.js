@@ -3,6 +3,7 @@ import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
 import reportWebVitals from './reportWebVitals';
+import { VITALS_ENDPOINT, createVitalsBeacon, vitalsTags } from './analytics/vitals';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -11,7 +12,8 @@ root.render(
   </React.StrictMode>
 );
 
-// If you want to start measuring performance in your app, pass a function
-// to log results (for example: reportWebVitals(console.log))
-// or send to an analytics endpoint. Learn more: https://bit.ly/CRA-vitals
-reportWebVitals();
+// Web Vitals are only collected when REACT_APP_VITALS_ENDPOINT is set; see
+// `npm run vitals-collector` in the README.
+if (VITALS_ENDPOINT) {
+  reportWebVitals(createVitalsBeacon({ endpoint: VITALS_ENDPOINT, tags: vitalsTags() }).report);
+}
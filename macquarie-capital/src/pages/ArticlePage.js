@@ -0,0 +1,54 @@
+import { useParams } from 'react-router-dom';
+import ArticleBody from '../components/ArticleBody';
+import Hero from '../components/Hero';
+import TableOfContents from '../components/TableOfContents';
+import TileLib from '../components/TileLib';
+import { useDocumentTitle } from '../hooks/useDocumentTitle';
+import { findInsight, insightTile, relatedInsights } from '../data/insights';
+import { formatDate } from '../utils/date';
+import NotFoundPage from './NotFoundPage';
+import '../sections/Section.css';
+import './ArticlePage.css';
+
+function Article({ insight }) {
+  useDocumentTitle(insight.title);
+
+  return (
+    <main className="article">
+      <Hero
+        category={insight.category}
+        heading={insight.title}
+        subheading={insight.summary}
+        image={insight.image}
+        gradient
+      />
+      <section className="section article__layout">
+        <aside className="article__aside">
+          <p className="article__byline p2">
+            <span>By {insight.author}</span>
+            <time dateTime={insight.date}>{formatDate(insight.date)}</time>
+            <span>{insight.readingTime} min read</span>
+          </p>
+          <TableOfContents headings={insight.headings} />
+        </aside>
+        <ArticleBody className="article__body" aria-label={insight.title} blocks={insight.blocks} />
+      </section>
+      <section className="section section--grey article__related">
+        <h2 className="section__heading">Related insights</h2>
+        <div className="section__grid">
+          {relatedInsights(insight).map(related => (
+            <TileLib key={related.slug} {...insightTile(related)} date={related.date} />
+          ))}
+        </div>
+      </section>
+    </main>
+  );
+}
+
+function ArticlePage() {
+  const { slug } = useParams();
+  const insight = findInsight(slug);
+  return insight ? <Article insight={insight} /> : <NotFoundPage />;
+}
+
+export default ArticlePage;
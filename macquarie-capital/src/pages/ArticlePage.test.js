@@ -0,0 +1,63 @@
+import { screen, within } from '@testing-library/react';
+import ArticlePage from './ArticlePage';
+import { renderAt } from '../testUtils';
+
+const renderArticle = path => renderAt(path, { '/perspectives/:slug': <ArticlePage /> });
+
+const title = 'How finance is driving Australia’s green transition';
+
+test('renders the article hero, byline and body from Markdown', () => {
+  renderArticle('/perspectives/how-finance-is-driving-australias-green-transition');
+
+  expect(screen.getByRole('heading', { level: 1, name: title })).toBeInTheDocument();
+  expect(screen.getByText('By Macquarie Capital')).toBeInTheDocument();
+  expect(screen.getByText('10 May 2022')).toHaveAttribute('dateTime', '2022-05-10');
+  expect(screen.getByText(/^\d+ min read$/)).toBeInTheDocument();
+
+  const article = screen.getByRole('article', { name: title });
+  expect(within(article).getByRole('heading', { level: 2, name: 'Capital is moving first' })).toHaveAttribute(
+    'id',
+    'capital-is-moving-first'
+  );
+  expect(within(article).getByText(/Australia’s energy system is being rebuilt/)).toBeInTheDocument();
+});
+
+test('builds a table of contents from the headings', () => {
+  renderArticle('/perspectives/how-finance-is-driving-australias-green-transition');
+
+  const contents = screen.getByRole('navigation', { name: 'Contents' });
+  const links = within(contents).getAllByRole('link');
+  expect(links.map(link => link.getAttribute('href'))).toEqual([
+    '#capital-is-moving-first',
+    '#new-instruments-new-buyers',
+    '#sustainability-linked-debt',
+    '#development-capital',
+    '#what-comes-next',
+  ]);
+});
+
+test('renders pull quotes with the quote mark icon and attribution', () => {
+  renderArticle('/perspectives/how-finance-is-driving-australias-green-transition');
+
+  const quote = screen.getByRole('figure');
+  expect(within(quote).getByRole('img')).toHaveAttribute(
+    'src',
+    '/images/quote-marks-open-mcq-global-outline.svg'
+  );
+  expect(quote).toHaveTextContent(/charted a clear path towards sustainability/);
+  expect(quote).toHaveTextContent(/Macquarie Capital$/);
+});
+
+test('shows related insights from the same category first', () => {
+  renderArticle('/perspectives/how-finance-is-driving-australias-green-transition');
+
+  const related = screen.getByRole('heading', { level: 2, name: 'Related insights' });
+  expect(related).toBeInTheDocument();
+  const titles = screen.getAllByText(/./, { selector: '.cmp-tile-lib__category' }).map(category => category.textContent);
+  expect(titles).toEqual(['Energy', 'Energy', 'Market commentary']);
+});
+
+test('shows a not found page for an unknown article', () => {
+  renderArticle('/perspectives/missing');
+  expect(screen.getByRole('heading', { level: 1, name: 'Page not found' })).toBeInTheDocument();
+});
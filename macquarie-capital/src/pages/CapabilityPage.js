@@ -0,0 +1,71 @@
+import { useParams } from 'react-router-dom';
+import AppLink from '../components/AppLink';
+import Hero from '../components/Hero';
+import LinkStack from '../components/LinkStack';
+import TileLib from '../components/TileLib';
+import { useDocumentTitle } from '../hooks/useDocumentTitle';
+import ImpactSection from '../sections/ImpactSection';
+import {
+  capabilityCaseStudies,
+  capabilityHref,
+  capabilityInsights,
+  capabilityLinks,
+  capabilityServices,
+  findCapability,
+} from '../data/capabilities';
+import { caseStudyTile } from '../data/caseStudies';
+import { insightTile } from '../data/insights';
+import NotFoundPage from './NotFoundPage';
+import '../sections/Section.css';
+import './CapabilityPage.css';
+
+function Capability({ capability }) {
+  useDocumentTitle(capability.label);
+  const services = capabilityServices(capability);
+  const studies = capabilityCaseStudies(capability);
+  const insights = capabilityInsights(capability);
+  const otherCapabilities = capabilityLinks().filter(link => link.href !== capabilityHref(capability));
+
+  return (
+    <main className="capability">
+      <Hero category="Capabilities" heading={capability.label} subheading={capability.description} variant="compact" />
+      <section className="section" aria-labelledby="capability-services">
+        <h2 className="section__heading" id="capability-services">
+          Related services
+        </h2>
+        <ul className="capability__services">
+          {services.map(service => (
+            <li className="capability__service" key={service.id}>
+              <h3 className="capability__service-heading">
+                <AppLink className="capability__service-link" href={`/#${service.id}`}>
+                  {service.title}
+                </AppLink>
+              </h3>
+              <p>{service.paragraphs[0]}</p>
+            </li>
+          ))}
+        </ul>
+      </section>
+      {studies.length > 0 && <ImpactSection heading="Case studies" tiles={studies.map(caseStudyTile)} />}
+      {insights.length > 0 && (
+        <section className="section section--grey">
+          <h2 className="section__heading">Insights</h2>
+          <div className="section__grid">
+            {insights.map(insight => (
+              <TileLib key={insight.slug} {...insightTile(insight)} date={insight.date} />
+            ))}
+          </div>
+        </section>
+      )}
+      <LinkStack heading="Explore our other capabilities" links={otherCapabilities} />
+    </main>
+  );
+}
+
+function CapabilityPage() {
+  const { slug } = useParams();
+  const capability = findCapability(slug);
+  return capability ? <Capability capability={capability} /> : <NotFoundPage />;
+}
+
+export default CapabilityPage;
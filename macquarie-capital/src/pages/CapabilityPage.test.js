@@ -0,0 +1,73 @@
+import { screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import CapabilityPage from './CapabilityPage';
+import {
+  capabilities,
+  capabilityCaseStudies,
+  capabilityInsights,
+  capabilityServices,
+  findCapability,
+} from '../data/capabilities';
+import navigation from '../data/navigation';
+import { renderAt } from '../testUtils';
+
+const renderCapability = path => renderAt(path, { '/impact/:slug': <CapabilityPage /> });
+
+test('every capability reference resolves to a service, case study or insight', () => {
+  capabilities.forEach(capability => {
+    expect(capabilityServices(capability)).toHaveLength(capability.services.length);
+    expect(capabilityCaseStudies(capability)).toHaveLength(capability.caseStudies.length);
+    expect(capabilityInsights(capability)).toHaveLength(capability.insights.length);
+  });
+});
+
+test('fills the Impact submenu from the capability list', () => {
+  const impact = navigation.items.find(item => item.id === 'impact');
+  expect(impact.groups[0].links).toEqual(
+    capabilities.map(capability => ({ label: capability.label, href: `/impact/${capability.slug}` }))
+  );
+});
+
+test('lists the related services, case studies and insights of a capability', () => {
+  const develop = findCapability('develop');
+  renderCapability('/impact/develop');
+
+  expect(screen.getByRole('heading', { level: 1, name: 'Develop' })).toBeInTheDocument();
+  expect(document.title).toBe('Develop | Macquarie Capital | Macquarie Group');
+
+  const services = screen.getByRole('region', { name: 'Related services' });
+  expect(within(services).getByRole('link', { name: 'Development and Investments' })).toHaveAttribute(
+    'href',
+    '/#development-and-investments'
+  );
+  capabilityCaseStudies(develop).forEach(study => {
+    expect(screen.getByRole('link', { name: new RegExp(study.title) })).toHaveAttribute(
+      'href',
+      `/impact/case-studies/${study.slug}`
+    );
+  });
+  capabilityInsights(develop).forEach(insight => {
+    expect(screen.getByRole('link', { name: new RegExp(insight.title) })).toHaveAttribute('href', insight.href);
+  });
+});
+
+test('links to the other capabilities and routes between them', () => {
+  renderCapability('/impact/trade');
+
+  expect(screen.queryByRole('heading', { level: 2, name: 'Case studies' })).not.toBeInTheDocument();
+  const others = screen.getByRole('navigation', { name: 'Explore our other capabilities' });
+  expect(within(others).getAllByRole('link').map(link => link.textContent)).toEqual([
+    'Manage',
+    'Develop',
+    'Advise',
+    'Finance',
+  ]);
+
+  userEvent.click(within(others).getByRole('link', { name: 'Finance' }));
+  expect(screen.getByRole('heading', { level: 1, name: 'Finance' })).toBeInTheDocument();
+});
+
+test('shows the not found page for an unknown capability', () => {
+  renderCapability('/impact/invest');
+  expect(screen.getByRole('heading', { level: 1, name: 'Page not found' })).toBeInTheDocument();
+});
@@ -0,0 +1,52 @@
+import { useParams } from 'react-router-dom';
+import ArticleBody from '../components/ArticleBody';
+import Hero from '../components/Hero';
+import { useDocumentTitle } from '../hooks/useDocumentTitle';
+import ImpactSection from '../sections/ImpactSection';
+import { caseStudyTile, findCaseStudy, relatedCaseStudies } from '../data/caseStudies';
+import NotFoundPage from './NotFoundPage';
+import '../sections/Section.css';
+import './CaseStudyPage.css';
+
+function CaseStudy({ study }) {
+  useDocumentTitle(study.title);
+
+  return (
+    <main className="case-study">
+      <Hero
+        category={study.category}
+        heading={study.title}
+        subheading={study.summary}
+        image={study.image}
+        variant="compact"
+        gradient
+      />
+      <section className="section case-study__content">
+        <dl className="case-study__facts">
+          <div>
+            <dt>Sector</dt>
+            <dd>{study.category}</dd>
+          </div>
+          <div>
+            <dt>Region</dt>
+            <dd>{study.region}</dd>
+          </div>
+          <div>
+            <dt>Deal value</dt>
+            <dd>{study.dealValue}</dd>
+          </div>
+        </dl>
+        <ArticleBody className="case-study__body" aria-label={study.title} blocks={study.blocks} />
+      </section>
+      <ImpactSection heading="Related case studies" tiles={relatedCaseStudies(study).map(caseStudyTile)} />
+    </main>
+  );
+}
+
+function CaseStudyPage() {
+  const { slug } = useParams();
+  const study = findCaseStudy(slug);
+  return study ? <CaseStudy study={study} /> : <NotFoundPage />;
+}
+
+export default CaseStudyPage;
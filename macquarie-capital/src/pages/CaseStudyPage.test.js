@@ -0,0 +1,40 @@
+import { screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import CaseStudyPage from './CaseStudyPage';
+import { caseStudies, caseStudyHref, relatedCaseStudies } from '../data/caseStudies';
+import { renderAt } from '../testUtils';
+
+const renderCaseStudy = path => renderAt(path, { '/impact/case-studies/:slug': <CaseStudyPage /> });
+
+const [metro, hospital, placement] = caseStudies;
+
+test('renders the hero, deal facts and body of a case study', () => {
+  renderCaseStudy(caseStudyHref(placement));
+
+  expect(screen.getByRole('heading', { level: 1, name: placement.title })).toBeInTheDocument();
+  const facts = screen.getAllByRole('definition').map(fact => fact.textContent);
+  expect(facts).toEqual([placement.category, placement.region, placement.dealValue]);
+  expect(screen.getByRole('article', { name: placement.title })).toHaveTextContent(/As joint lead manager and underwriter/);
+  expect(document.title).toBe(`${placement.title} | Macquarie Capital | Macquarie Group`);
+});
+
+test('links to related case studies and routes between them', () => {
+  renderCaseStudy(caseStudyHref(metro));
+
+  const related = screen.getByRole('heading', { level: 2, name: 'Related case studies' });
+  expect(related).toBeInTheDocument();
+  expect(screen.queryByRole('link', { name: new RegExp(metro.title) })).not.toBeInTheDocument();
+
+  userEvent.click(screen.getByRole('link', { name: new RegExp(hospital.title) }));
+  expect(screen.getByRole('heading', { level: 1, name: hospital.title })).toBeInTheDocument();
+});
+
+test('ranks related case studies by shared sector, then region', () => {
+  const study = { ...metro, slug: 'another', category: 'Healthcare', region: 'Europe, Middle East and Africa' };
+  expect(relatedCaseStudies(study, 2)).toEqual([hospital, metro]);
+});
+
+test('shows a not found page for an unknown slug', () => {
+  renderCaseStudy('/impact/case-studies/missing');
+  expect(screen.getByRole('heading', { level: 1, name: 'Page not found' })).toBeInTheDocument();
+});
@@ -0,0 +1,44 @@
+import Hero from '../components/Hero';
+import LinkStack from '../components/LinkStack';
+import { useRegion } from '../context/RegionContext';
+import ExpertiseSection from '../sections/ExpertiseSection';
+import FactsSection from '../sections/FactsSection';
+import ImpactSection from '../sections/ImpactSection';
+import InsightsSection from '../sections/InsightsSection';
+import IntroSection from '../sections/IntroSection';
+import NewsSection from '../sections/NewsSection';
+import PeopleSection from '../sections/PeopleSection';
+import ServicesSection from '../sections/ServicesSection';
+import { capabilityLinks } from '../data/capabilities';
+import { caseStudies, caseStudyTile } from '../data/caseStudies';
+import * as home from '../data/home';
+import { insights, insightTile } from '../data/insights';
+import { featuredQuotes, people, personTile } from '../data/people';
+
+function HomePage() {
+  const { content } = useRegion();
+
+  return (
+    <main>
+      <Hero {...home.hero} gradient />
+      <IntroSection {...home.intro} />
+      <FactsSection facts={home.facts} />
+      <ImpactSection {...home.impact} tiles={caseStudies.map(caseStudyTile)} />
+      <InsightsSection
+        {...home.insights}
+        tiles={insights.filter(insight => insight.slug !== home.insights.featured.slug).map(insightTile)}
+      />
+      <ExpertiseSection {...home.expertise} />
+      <ServicesSection {...home.services} />
+      <PeopleSection
+        heading={home.people.heading}
+        quotes={featuredQuotes(home.people.quotes)}
+        tiles={people.slice(0, home.people.limit).map(personTile)}
+      />
+      <NewsSection {...home.news} items={content.news} cta={content.contact} />
+      <LinkStack heading="Explore our capabilities" links={capabilityLinks()} />
+    </main>
+  );
+}
+
+export default HomePage;
@@ -0,0 +1,101 @@
+import { useLocation, useNavigate } from 'react-router-dom';
+import FilterChips from '../components/FilterChips';
+import Hero from '../components/Hero';
+import NewsList from '../components/NewsList';
+import Pagination from '../components/Pagination';
+import { useDocumentTitle } from '../hooks/useDocumentTitle';
+import { news, newsRegions } from '../data/news';
+import { parseDate } from '../utils/date';
+import { buildQuery, readList, readPage } from '../utils/query';
+import { slugify } from '../utils/slug';
+import '../sections/Section.css';
+import './NewsArchivePage.css';
+
+const PAGE_SIZE = 10;
+
+const regionOptions = newsRegions.map(region => ({ value: slugify(region), label: region }));
+
+// Groups releases (already newest first) into years, then months within
+// each year, keeping their order.
+function groupByMonth(items) {
+  const years = [];
+  items.forEach(item => {
+    const date = parseDate(item.date);
+    const year = date.getUTCFullYear();
+    const month = date.toLocaleDateString('en-AU', { month: 'long', timeZone: 'UTC' });
+    if (years.length === 0 || years[years.length - 1].year !== year) {
+      years.push({ year, months: [] });
+    }
+    const { months } = years[years.length - 1];
+    if (months.length === 0 || months[months.length - 1].month !== month) {
+      months.push({ month, items: [] });
+    }
+    months[months.length - 1].items.push(item);
+  });
+  return years;
+}
+
+// ?area=americas,asia&page=2, as on the perspectives library. Not ?region=,
+// which RegionProvider keeps for the site region.
+function readFilters(search) {
+  const params = new URLSearchParams(search);
+  return {
+    regions: readList(params, 'area', regionOptions.map(option => option.value)),
+    page: readPage(params),
+  };
+}
+
+function NewsArchivePage({ pageSize = PAGE_SIZE }) {
+  useDocumentTitle('News');
+  const { pathname, search } = useLocation();
+  const navigate = useNavigate();
+  const filters = readFilters(search);
+
+  const matches = news.filter(item => filters.regions.length === 0 || filters.regions.includes(slugify(item.region)));
+  const pageCount = Math.max(1, Math.ceil(matches.length / pageSize));
+  const page = Math.min(filters.page, pageCount);
+  const visible = matches.slice((page - 1) * pageSize, page * pageSize);
+
+  const hrefWith = ({ regions = filters.regions, page: number = page }) => {
+    const query = buildQuery({ area: regions, page: number > 1 ? number : undefined });
+    return query ? `${pathname}?${query}` : pathname;
+  };
+
+  return (
+    <main className="news-archive">
+      <Hero heading="News" subheading="Media releases from Macquarie Capital around the world." variant="compact" />
+      <section className="section" aria-label="News archive">
+        <FilterChips
+          label="Filter by region"
+          options={regionOptions}
+          selected={filters.regions}
+          onChange={regions => navigate(hrefWith({ regions, page: 1 }))}
+        />
+        <p className="news-archive__status p3" role="status">
+          {matches.length > 0
+            ? `${matches.length} ${matches.length === 1 ? 'release' : 'releases'}`
+            : 'No releases match the selected regions'}
+        </p>
+        {groupByMonth(visible).map(({ year, months }) => (
+          <div className="news-archive__year" key={year}>
+            <h2 className="news-archive__year-heading">{year}</h2>
+            {months.map(({ month, items }) => (
+              <div className="news-archive__month" key={month}>
+                <h3 className="news-archive__month-heading">{`${month} ${year}`}</h3>
+                <NewsList items={items} headingLevel={4} />
+              </div>
+            ))}
+          </div>
+        ))}
+        <Pagination
+          page={page}
+          pageCount={pageCount}
+          hrefFor={number => hrefWith({ page: number })}
+          label="News pages"
+        />
+      </section>
+    </main>
+  );
+}
+
+export default NewsArchivePage;
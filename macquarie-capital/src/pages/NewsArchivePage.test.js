@@ -0,0 +1,94 @@
+import { screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { useLocation } from 'react-router-dom';
+import NewsArchivePage from './NewsArchivePage';
+import NewsReleasePage from './NewsReleasePage';
+import { RegionProvider } from '../context/RegionContext';
+import { renderAt } from '../testUtils';
+
+function CurrentSearch() {
+  return <p>Query: {useLocation().search}</p>;
+}
+
+const renderNews = (path, pageSize) =>
+  renderAt(path, {
+    '/news': (
+      <>
+        <NewsArchivePage pageSize={pageSize} />
+        <CurrentSearch />
+      </>
+    ),
+    '/news/:slug': <NewsReleasePage />,
+  });
+
+const query = () => screen.getByText(/^Query:/).textContent.replace('Query: ', '');
+const releaseTitles = () => screen.getAllByRole('heading', { level: 4 }).map(heading => heading.textContent);
+
+test('groups releases by year and month, newest first', () => {
+  renderNews('/news');
+
+  expect(screen.getByRole('heading', { level: 2, name: '2022' })).toBeInTheDocument();
+  expect(screen.getAllByRole('heading', { level: 3 }).map(heading => heading.textContent)).toEqual([
+    'April 2022',
+    'March 2022',
+  ]);
+  expect(releaseTitles()[0]).toMatch(/Ruta Minera/);
+  expect(screen.getByRole('status')).toHaveTextContent('4 releases');
+});
+
+test('filters by region and keeps the filter in the query string', () => {
+  renderNews('/news');
+
+  userEvent.click(screen.getByRole('button', { name: 'Europe, Middle East and Africa' }));
+  expect(query()).toBe('?area=europe-middle-east-and-africa');
+  expect(releaseTitles()).toEqual([
+    'Macquarie Capital announces senior appointments in its Technology, Media and Telecoms team',
+    'Macquarie Capital reaches financial close on the Sotra Connection PPP Project',
+  ]);
+  expect(screen.queryByRole('heading', { level: 3, name: 'April 2022' })).not.toBeInTheDocument();
+});
+
+test('keeps the region filter alongside the site region', () => {
+  renderAt('/news?area=americas', {
+    '/news': (
+      <RegionProvider>
+        <NewsArchivePage />
+        <CurrentSearch />
+      </RegionProvider>
+    ),
+  });
+  expect(query()).toBe('?area=americas&region=au');
+  expect(screen.getByRole('status')).toHaveTextContent('2 releases');
+
+  userEvent.click(screen.getByRole('button', { name: 'Europe, Middle East and Africa' }));
+  expect(query()).toBe('?area=americas,europe-middle-east-and-africa&region=au');
+  expect(screen.getByRole('status')).toHaveTextContent('4 releases');
+});
+
+test('paginates from the query string', () => {
+  renderNews('/news?area=americas,europe-middle-east-and-africa&page=2', 3);
+
+  const pages = screen.getByRole('navigation', { name: 'News pages' });
+  expect(within(pages).getByRole('link', { name: 'Page 2' })).toHaveAttribute('aria-current', 'page');
+  expect(within(pages).getByRole('link', { name: 'Previous' })).toHaveAttribute(
+    'href',
+    '/news?area=americas,europe-middle-east-and-africa'
+  );
+  expect(releaseTitles()).toEqual([
+    'Macquarie Capital announces senior appointments in financial sponsors, principal finance and debt capital markets',
+  ]);
+});
+
+test('opens a press release page with its body and more news', () => {
+  renderNews('/news');
+
+  userEvent.click(screen.getByRole('link', { name: /Sotra Connection/ }));
+  expect(screen.getByRole('heading', { level: 1, name: /Sotra Connection/ })).toBeInTheDocument();
+  expect(screen.getByText('16 March 2022')).toHaveAttribute('dateTime', '2022-03-16');
+  expect(screen.getByRole('article')).toHaveTextContent(/suspension bridge/);
+  expect(screen.getByRole('link', { name: 'Read the original release on macquarie.com' })).toHaveAttribute(
+    'href',
+    expect.stringMatching(/^https:\/\/www\.macquarie\.com\//)
+  );
+  expect(screen.getAllByRole('heading', { level: 3 })).toHaveLength(3);
+});
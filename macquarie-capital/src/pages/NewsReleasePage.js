@@ -0,0 +1,46 @@
+import { useParams } from 'react-router-dom';
+import ArticleBody from '../components/ArticleBody';
+import Hero from '../components/Hero';
+import NewsList from '../components/NewsList';
+import { useDocumentTitle } from '../hooks/useDocumentTitle';
+import { findNews, news } from '../data/news';
+import { formatDate } from '../utils/date';
+import NotFoundPage from './NotFoundPage';
+import '../sections/Section.css';
+import './NewsReleasePage.css';
+
+function NewsRelease({ item }) {
+  useDocumentTitle(item.title);
+
+  return (
+    <main className="news-release">
+      <Hero category="Media release" heading={item.title} image={item.image} variant="compact">
+        <p className="news-release__meta p2">
+          {item.location}
+          <span className="cmp-tile-news-list__bullet-divider" aria-hidden="true" />
+          <time dateTime={item.date}>{formatDate(item.date)}</time>
+        </p>
+      </Hero>
+      <section className="section news-release__content">
+        <ArticleBody className="news-release__body" aria-label={item.title} blocks={item.blocks} />
+        {item.source && (
+          <p className="news-release__source p3">
+            <a href={item.source}>Read the original release on macquarie.com</a>
+          </p>
+        )}
+      </section>
+      <section className="section section--grey">
+        <h2 className="section__heading">More news</h2>
+        <NewsList items={news.filter(other => other !== item)} limit={3} />
+      </section>
+    </main>
+  );
+}
+
+function NewsReleasePage() {
+  const { slug } = useParams();
+  const item = findNews(slug);
+  return item ? <NewsRelease item={item} /> : <NotFoundPage />;
+}
+
+export default NewsReleasePage;
@@ -0,0 +1,18 @@
+import { Link } from 'react-router-dom';
+import { useDocumentTitle } from '../hooks/useDocumentTitle';
+import '../sections/Section.css';
+
+function NotFoundPage() {
+  useDocumentTitle('Page not found');
+
+  return (
+    <main className="section">
+      <h1 className="section__heading">Page not found</h1>
+      <p>
+        The page you are looking for has moved or no longer exists. <Link to="/">Return to the home page</Link>.
+      </p>
+    </main>
+  );
+}
+
+export default NotFoundPage;
@@ -0,0 +1,29 @@
+import Hero from '../components/Hero';
+import NewsTile from '../components/NewsTile';
+import { useDocumentTitle } from '../hooks/useDocumentTitle';
+import { people, personTile } from '../data/people';
+import '../sections/Section.css';
+
+function OurPeoplePage() {
+  useDocumentTitle('Our people');
+
+  return (
+    <main className="our-people">
+      <Hero
+        category="Careers"
+        heading="Our people"
+        subheading="Stories from the people who connect ideas and capital at Macquarie Capital."
+        variant="compact"
+      />
+      <section className="section" aria-label="People stories">
+        <div className="section__grid">
+          {people.map(person => (
+            <NewsTile key={person.slug} {...personTile(person)} />
+          ))}
+        </div>
+      </section>
+    </main>
+  );
+}
+
+export default OurPeoplePage;
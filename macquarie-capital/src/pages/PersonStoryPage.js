@@ -0,0 +1,50 @@
+import { useParams } from 'react-router-dom';
+import ArticleBody from '../components/ArticleBody';
+import Hero from '../components/Hero';
+import NewsTile from '../components/NewsTile';
+import Quote from '../components/Quote';
+import { useDocumentTitle } from '../hooks/useDocumentTitle';
+import { findPerson, people, personTile } from '../data/people';
+import NotFoundPage from './NotFoundPage';
+import '../sections/Section.css';
+import './PersonStoryPage.css';
+
+function PersonStory({ person }) {
+  useDocumentTitle(person.title);
+  const others = people.filter(other => other !== person);
+
+  return (
+    <main className="person-story">
+      <Hero category="Our people" heading={person.title} subheading={person.summary} variant="compact" />
+      <section className="section person-story__content">
+        {person.quote && (
+          <Quote text={person.quote} name={person.name} role={person.role} image={person.image} />
+        )}
+        <ArticleBody className="person-story__body" aria-label={person.title} blocks={person.blocks} />
+        {person.source && (
+          <p className="person-story__source p3">
+            <a href={person.source}>Read the full story on macquarie.com</a>
+          </p>
+        )}
+      </section>
+      {others.length > 0 && (
+        <section className="section section--grey">
+          <h2 className="section__heading">More stories</h2>
+          <div className="section__grid">
+            {others.map(other => (
+              <NewsTile key={other.slug} {...personTile(other)} />
+            ))}
+          </div>
+        </section>
+      )}
+    </main>
+  );
+}
+
+function PersonStoryPage() {
+  const { slug } = useParams();
+  const person = findPerson(slug);
+  return person ? <PersonStory person={person} /> : <NotFoundPage />;
+}
+
+export default PersonStoryPage;
@@ -0,0 +1,54 @@
+import { screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import OurPeoplePage from './OurPeoplePage';
+import PersonStoryPage from './PersonStoryPage';
+import { findPerson, people } from '../data/people';
+import { renderAt } from '../testUtils';
+
+const renderPeople = path =>
+  renderAt(path, {
+    '/careers/our-people': <OurPeoplePage />,
+    '/careers/our-people/:slug': <PersonStoryPage />,
+  });
+
+const goran = findPerson('goran-tomasevic');
+const michael = findPerson('michael-silverton');
+
+test('renders a story with the quote, portrait and body', () => {
+  renderPeople('/careers/our-people/michael-silverton');
+
+  expect(screen.getByRole('heading', { level: 1, name: michael.title })).toBeInTheDocument();
+  expect(document.title).toBe(`${michael.title} | Macquarie Capital | Macquarie Group`);
+  const quote = screen.getByRole('figure');
+  expect(within(quote).getByRole('img', { name: 'Michael Silverton' })).toBeInTheDocument();
+  expect(within(quote).getByRole('heading', { level: 4 })).toHaveTextContent(`${michael.quote}”`);
+  expect(quote).toHaveTextContent(/Michael Silverton\s*Global Head, Macquarie Capital/);
+  expect(screen.getByRole('article', { name: michael.title })).toHaveTextContent(/the energy transition/);
+});
+
+test('leaves out the quote for a profile without one and links to the full story', () => {
+  renderPeople('/careers/our-people/goran-tomasevic');
+
+  expect(screen.queryByRole('figure')).not.toBeInTheDocument();
+  expect(screen.getByRole('article', { name: goran.title })).toHaveTextContent(/water polo at the Olympic level/);
+  expect(screen.getByRole('link', { name: 'Read the full story on macquarie.com' })).toHaveAttribute('href', goran.source);
+});
+
+test('links from the people index to each story and between stories', () => {
+  renderPeople('/careers/our-people');
+
+  const stories = screen.getByRole('region', { name: 'People stories' });
+  expect(within(stories).getAllByRole('link')).toHaveLength(people.length);
+  userEvent.click(within(stories).getByRole('link', { name: new RegExp(goran.title) }));
+  expect(screen.getByRole('heading', { level: 1, name: goran.title })).toBeInTheDocument();
+
+  const more = screen.getByRole('heading', { level: 2, name: 'More stories' });
+  expect(more).toBeInTheDocument();
+  userEvent.click(screen.getByRole('link', { name: new RegExp(michael.title) }));
+  expect(screen.getByRole('heading', { level: 1, name: michael.title })).toBeInTheDocument();
+});
+
+test('shows the not found page for an unknown person', () => {
+  renderPeople('/careers/our-people/nobody');
+  expect(screen.getByRole('heading', { level: 1, name: 'Page not found' })).toBeInTheDocument();
+});
@@ -0,0 +1,110 @@
+import { useEffect, useRef } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import FilterChips from '../components/FilterChips';
+import Hero from '../components/Hero';
+import Pagination from '../components/Pagination';
+import TileLib from '../components/TileLib';
+import { useDocumentTitle } from '../hooks/useDocumentTitle';
+import { insightCategories, insights, insightTile } from '../data/insights';
+import navigation from '../data/navigation';
+import { parseDate } from '../utils/date';
+import { buildQuery, readList, readPage } from '../utils/query';
+import { slugify } from '../utils/slug';
+import '../sections/Section.css';
+import './PerspectivesPage.css';
+
+const PAGE_SIZE = 9;
+
+const categoryOptions = insightCategories.map(category => ({ value: slugify(category), label: category }));
+const perspectivesNav = navigation.items.find(item => item.id === 'perspectives');
+
+// Filter state lives in the query string so filtered views can be
+// bookmarked: ?category=energy,technology&sort=oldest&page=2. Defaults are
+// left out of the URL, and unknown values are ignored.
+function readFilters(search) {
+  const params = new URLSearchParams(search);
+  return {
+    categories: readList(params, 'category', categoryOptions.map(option => option.value)),
+    sort: params.get('sort') === 'oldest' ? 'oldest' : 'newest',
+    page: readPage(params),
+  };
+}
+
+function writeFilters({ categories, sort, page }) {
+  return buildQuery({
+    category: categories,
+    sort: sort === 'newest' ? undefined : sort,
+    page: page > 1 ? page : undefined,
+  });
+}
+
+function PerspectivesPage({ pageSize = PAGE_SIZE }) {
+  useDocumentTitle('Perspectives');
+  const { pathname, search } = useLocation();
+  const navigate = useNavigate();
+  const filters = readFilters(search);
+  const resultsRef = useRef(null);
+
+  const direction = filters.sort === 'oldest' ? 1 : -1;
+  const matches = insights
+    .filter(insight => filters.categories.length === 0 || filters.categories.includes(slugify(insight.category)))
+    .sort((a, b) => direction * (parseDate(a.date) - parseDate(b.date)));
+  const pageCount = Math.max(1, Math.ceil(matches.length / pageSize));
+  const page = Math.min(filters.page, pageCount);
+  const start = (page - 1) * pageSize;
+  const visible = matches.slice(start, start + pageSize);
+
+  const hrefWith = changes => {
+    const query = writeFilters({ ...filters, ...changes });
+    return query ? `${pathname}?${query}` : pathname;
+  };
+  const hrefFor = number => hrefWith({ page: number });
+  // Changing the filters or sort order starts again from the first page.
+  const update = changes => navigate(hrefWith({ ...changes, page: 1 }));
+
+  // Bring the top of the list back into view when paging.
+  const previousPage = useRef(page);
+  useEffect(() => {
+    const element = resultsRef.current;
+    if (previousPage.current !== page && typeof element.scrollIntoView === 'function') {
+      element.scrollIntoView({ block: 'start' });
+    }
+    previousPage.current = page;
+  }, [page]);
+
+  return (
+    <main className="perspectives">
+      <Hero heading={perspectivesNav.label} subheading={perspectivesNav.description} variant="compact" />
+      <section className="section" aria-label="Perspectives library" ref={resultsRef}>
+        <div className="perspectives__toolbar">
+          <FilterChips
+            label="Filter by topic"
+            options={categoryOptions}
+            selected={filters.categories}
+            onChange={categories => update({ categories })}
+          />
+          <label className="perspectives__sort">
+            Sort by
+            <select value={filters.sort} onChange={event => update({ sort: event.target.value })}>
+              <option value="newest">Newest first</option>
+              <option value="oldest">Oldest first</option>
+            </select>
+          </label>
+        </div>
+        <p className="perspectives__status p3" role="status">
+          {matches.length > 0
+            ? `Showing ${start + 1}–${start + visible.length} of ${matches.length} perspectives`
+            : 'No perspectives match the selected topics'}
+        </p>
+        <div className="section__grid">
+          {visible.map(insight => (
+            <TileLib key={insight.slug} {...insightTile(insight)} date={insight.date} />
+          ))}
+        </div>
+        <Pagination page={page} pageCount={pageCount} hrefFor={hrefFor} label="Perspectives pages" />
+      </section>
+    </main>
+  );
+}
+
+export default PerspectivesPage;
@@ -0,0 +1,100 @@
+import { screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { useLocation } from 'react-router-dom';
+import PerspectivesPage from './PerspectivesPage';
+import { insightCategories } from '../data/insights';
+import navigation from '../data/navigation';
+import { renderAt } from '../testUtils';
+import { slugify } from '../utils/slug';
+
+function CurrentSearch() {
+  return <p>Query: {useLocation().search}</p>;
+}
+
+const renderPerspectives = (path, pageSize) =>
+  renderAt(path, {
+    '/perspectives': (
+      <>
+        <PerspectivesPage pageSize={pageSize} />
+        <CurrentSearch />
+      </>
+    ),
+  });
+
+const tileTitles = () =>
+  screen.queryAllByText(/./, { selector: '.cmp-tile-lib__heading' }).map(title => title.textContent);
+
+const query = () => screen.getByText(/^Query:/).textContent.replace('Query: ', '');
+
+test('lists every insight, newest first, with its date', () => {
+  renderPerspectives('/perspectives');
+
+  expect(tileTitles()).toEqual([
+    'How finance is driving Australia’s green transition',
+    'Macquarie Capital 2021 Year in Review and 2022 Outlook',
+    'The mobility opportunity',
+    'Accelerating corporate Australia’s transition to net zero',
+    'Infrastructure Partnerships Australia Conference',
+    'Supporting Australia\'s startup community with Innovation Bay',
+  ]);
+  expect(screen.getByText('27 January 2022')).toHaveAttribute('dateTime', '2022-01-27');
+  expect(screen.getByRole('status')).toHaveTextContent('Showing 1–6 of 6 perspectives');
+});
+
+test('filters by several categories and keeps the filters in the query string', () => {
+  renderPerspectives('/perspectives');
+
+  userEvent.click(screen.getByRole('button', { name: 'Technology' }));
+  userEvent.click(screen.getByRole('button', { name: 'Infrastructure' }));
+  expect(screen.getByRole('button', { name: 'Technology' })).toHaveAttribute('aria-pressed', 'true');
+  expect(query()).toBe('?category=infrastructure,technology');
+  expect(tileTitles()).toHaveLength(2);
+
+  userEvent.selectOptions(screen.getByRole('combobox', { name: 'Sort by' }), 'oldest');
+  expect(query()).toBe('?category=infrastructure,technology&sort=oldest');
+  expect(tileTitles()[0]).toBe('Supporting Australia\'s startup community with Innovation Bay');
+
+  userEvent.click(screen.getByRole('button', { name: 'Clear all' }));
+  expect(query()).toBe('?sort=oldest');
+  expect(tileTitles()).toHaveLength(6);
+});
+
+test('restores a bookmarked view from the query string', () => {
+  renderPerspectives('/perspectives?category=energy,unknown&sort=oldest');
+
+  expect(screen.getByRole('button', { name: 'Energy' })).toHaveAttribute('aria-pressed', 'true');
+  expect(screen.getByRole('button', { name: 'Market commentary' })).toHaveAttribute('aria-pressed', 'false');
+  expect(screen.getByRole('combobox', { name: 'Sort by' })).toHaveValue('oldest');
+  expect(tileTitles()).toEqual([
+    'Accelerating corporate Australia’s transition to net zero',
+    'The mobility opportunity',
+    'How finance is driving Australia’s green transition',
+  ]);
+});
+
+test('paginates the results and restarts from page one when the filters change', () => {
+  renderPerspectives('/perspectives?sort=oldest', 4);
+  const pages = screen.getByRole('navigation', { name: 'Perspectives pages' });
+  expect(within(pages).getByRole('link', { name: 'Page 1' })).toHaveAttribute('aria-current', 'page');
+
+  userEvent.click(within(pages).getByRole('link', { name: 'Next' }));
+  expect(query()).toBe('?sort=oldest&page=2');
+  expect(within(pages).getByRole('link', { name: 'Page 2' })).toHaveAttribute('aria-current', 'page');
+  expect(tileTitles()).toEqual([
+    'Macquarie Capital 2021 Year in Review and 2022 Outlook',
+    'How finance is driving Australia’s green transition',
+  ]);
+
+  userEvent.click(screen.getByRole('button', { name: 'Energy' }));
+  expect(query()).toBe('?category=energy&sort=oldest');
+  expect(screen.queryByRole('navigation', { name: 'Perspectives pages' })).not.toBeInTheDocument();
+});
+
+test('links the Perspectives submenu topics to the filtered library', () => {
+  const perspectives = navigation.items.find(item => item.id === 'perspectives');
+  const topics = perspectives.groups
+    .flatMap(group => group.links)
+    .filter(link => insightCategories.includes(link.label));
+  expect(topics.map(link => link.label).sort()).toEqual(insightCategories);
+  topics.forEach(link => expect(link.href).toBe(`/perspectives?category=${slugify(link.label)}`));
+});
@@ -1,11 +1,45 @@
+// Serializable attribution fields worth sending for each metric; see the
+// web-vitals attribution docs for what each one measures. `element` and
+// `eventTarget` are CSS selectors for the element responsible, e.g. the
+// hero image for LCP or a mega menu button for FID and INP.
+export const ATTRIBUTION_FIELDS = {
+  CLS: ['largestShiftTarget', 'largestShiftValue', 'largestShiftTime', 'loadState'],
+  FCP: ['timeToFirstByte', 'firstByteToFCP', 'loadState'],
+  FID: ['eventTarget', 'eventType', 'eventTime', 'loadState'],
+  INP: ['eventTarget', 'eventType', 'eventTime', 'loadState'],
+  LCP: ['element', 'url', 'timeToFirstByte', 'resourceLoadDelay', 'resourceLoadTime', 'elementRenderDelay'],
+  TTFB: ['waitingTime', 'dnsTime', 'connectionTime', 'requestTime'],
+};
+
+/**
+ * The ATTRIBUTION_FIELDS of a metric's `attribution`, leaving out the
+ * performance entries it also holds, which cannot be serialized. Fields
+ * the browser did not report are omitted.
+ */
+export function attributionData(metric) {
+  const attribution = metric.attribution || {};
+  return Object.fromEntries(
+    (ATTRIBUTION_FIELDS[metric.name] || [])
+      .filter(field => attribution[field] !== undefined)
+      .map(field => [field, attribution[field]])
+  );
+}
+
+/**
+ * Calls `onPerfEntry` with each Web Vital (CLS, FCP, FID, INP, LCP and
+ * TTFB) from the web-vitals attribution build. Every metric has the usual `name`,
+ * `value`, `rating`, `delta` and `id`, plus `attribution` describing what
+ * caused it; use attributionData(metric) for a copy that can be sent.
+ */
 const reportWebVitals = onPerfEntry => {
   if (onPerfEntry && onPerfEntry instanceof Function) {
-    import('web-vitals').then(({ getCLS, getFID, getFCP, getLCP, getTTFB }) => {
-      getCLS(onPerfEntry);
-      getFID(onPerfEntry);
-      getFCP(onPerfEntry);
-      getLCP(onPerfEntry);
-      getTTFB(onPerfEntry);
+    import('web-vitals/attribution').then(({ onCLS, onFCP, onFID, onINP, onLCP, onTTFB }) => {
+      onCLS(onPerfEntry);
+      onFCP(onPerfEntry);
+      onFID(onPerfEntry);
+      onINP(onPerfEntry);
+      onLCP(onPerfEntry);
+      onTTFB(onPerfEntry);
     });
   }
 };
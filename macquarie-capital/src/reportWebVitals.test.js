@@ -0,0 +1,69 @@
+import { waitFor } from '@testing-library/react';
+import { onCLS, onFCP, onFID, onINP, onLCP, onTTFB } from 'web-vitals/attribution';
+import reportWebVitals, { attributionData } from './reportWebVitals';
+import { createVitalsBeacon } from './analytics/vitals';
+
+jest.mock('web-vitals/attribution', () => ({
+  onCLS: jest.fn(),
+  onFCP: jest.fn(),
+  onFID: jest.fn(),
+  onINP: jest.fn(),
+  onLCP: jest.fn(),
+  onTTFB: jest.fn(),
+}));
+
+const inp = {
+  name: 'INP',
+  value: 344,
+  rating: 'needs-improvement',
+  delta: 344,
+  id: 'v3-1',
+  entries: [{}],
+  navigationType: 'navigate',
+  attribution: {
+    eventTarget: 'nav.megamenu>button#menu-impact',
+    eventType: 'pointerdown',
+    eventTime: 5120,
+    eventEntry: {},
+    loadState: 'complete',
+  },
+};
+const fid = { ...inp, name: 'FID', value: 12, rating: 'good', delta: 12, id: 'v3-2' };
+
+afterEach(() => {
+  delete navigator.sendBeacon;
+});
+
+test('registers every metric, including FID and INP, from the attribution build', async () => {
+  const reported = [];
+  reportWebVitals(metric => reported.push(metric));
+  await waitFor(() => expect(onTTFB).toHaveBeenCalled());
+
+  [onCLS, onFCP, onFID, onINP, onLCP].forEach(on => expect(on).toHaveBeenCalledTimes(1));
+  onFID.mock.calls[0][0](fid);
+  onINP.mock.calls[0][0](inp);
+  expect(reported).toEqual([
+    expect.objectContaining({ name: 'FID', attribution: fid.attribution }),
+    expect.objectContaining({ name: 'INP', attribution: inp.attribution }),
+  ]);
+});
+
+test('keeps the serializable attribution fields for the beacon', () => {
+  expect(attributionData(inp)).toEqual({
+    eventTarget: 'nav.megamenu>button#menu-impact',
+    eventType: 'pointerdown',
+    eventTime: 5120,
+    loadState: 'complete',
+  });
+  expect(attributionData(fid)).toEqual(attributionData(inp));
+  expect(attributionData({ name: 'LCP', attribution: { element: 'img.cmp-general-hero__image' } })).toEqual({
+    element: 'img.cmp-general-hero__image',
+  });
+
+  navigator.sendBeacon = jest.fn(() => true);
+  const beacon = createVitalsBeacon({ endpoint: '/vitals', tags: {} });
+  beacon.report(inp);
+  beacon.flush();
+  const [sent] = JSON.parse(navigator.sendBeacon.mock.calls[0][1]).metrics;
+  expect(sent).toMatchObject({ name: 'INP', rating: 'needs-improvement', attribution: attributionData(inp) });
+});
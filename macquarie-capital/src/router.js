@@ -0,0 +1,6 @@
+// Opts in to the React Router v7 behaviour now, so upgrading later changes
+// nothing. Pass to every router, including the MemoryRouters in tests.
+export const ROUTER_FUTURE = {
+  v7_startTransition: true,
+  v7_relativeSplatPath: true,
+};
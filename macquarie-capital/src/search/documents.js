@@ -0,0 +1,84 @@
+import { blocksToText } from '../content/markdown';
+import { capabilities, capabilityHref } from '../data/capabilities';
+import { caseStudies, caseStudyHref } from '../data/caseStudies';
+import * as home from '../data/home';
+import { insights } from '../data/insights';
+import navigation from '../data/navigation';
+import { news } from '../data/news';
+import { people } from '../data/people';
+
+/**
+ * Flattens the content data into search documents: the home page, every
+ * top-level page in the navigation, capability pages, case studies,
+ * insights, news items, people profiles and service accordion panels.
+ * Each has a type, title, category, body and href.
+ */
+export function collectDocuments() {
+  const pages = [
+    {
+      type: 'Page',
+      title: home.hero.heading,
+      category: home.hero.category,
+      body: [home.intro.heading, ...home.intro.paragraphs].join(' '),
+      href: '/',
+    },
+    ...navigation.items
+      .filter(item => item.overview)
+      .map(item => ({
+        type: 'Page',
+        title: item.label,
+        category: item.label,
+        body: item.description,
+        href: item.overview.href,
+      })),
+    ...capabilities.map(capability => ({
+      type: 'Page',
+      title: capability.label,
+      category: 'Capabilities',
+      body: capability.description,
+      href: capabilityHref(capability),
+    })),
+  ];
+
+  const studies = caseStudies.map(study => ({
+    type: 'Case study',
+    title: study.title,
+    category: study.category,
+    body: [study.summary, blocksToText(study.blocks)].join(' '),
+    href: caseStudyHref(study),
+  }));
+
+  const perspectives = insights.map(insight => ({
+    type: 'Insight',
+    title: insight.title,
+    category: insight.category,
+    body: [insight.summary, blocksToText(insight.blocks)].join(' '),
+    href: insight.href,
+  }));
+
+  const releases = news.map(item => ({
+    type: 'News',
+    title: item.title,
+    category: item.location,
+    body: [item.summary, blocksToText(item.blocks)].join(' '),
+    href: item.href,
+  }));
+
+  const profiles = people.map(person => ({
+    type: 'Article',
+    title: person.title,
+    category: person.category,
+    body: [person.name, person.summary].join(' '),
+    href: person.href,
+  }));
+
+  const services = home.services.items.map(item => ({
+    type: 'Service',
+    title: item.title,
+    category: home.services.heading,
+    body: item.paragraphs.join(' '),
+    href: `/#${item.id}`,
+  }));
+
+  return [...pages, ...studies, ...perspectives, ...releases, ...profiles, ...services];
+}
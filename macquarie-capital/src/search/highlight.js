@@ -0,0 +1,52 @@
+import { stem } from './stem';
+import { normalize } from './tokenize';
+
+const WORD = /([\p{L}\p{N}]+)/u;
+
+// Query terms are stemmed, so compare against both the word and its stem.
+function matches(word, terms) {
+  const token = normalize(word);
+  const stemmed = stem(token);
+  return terms.some(term => token.startsWith(term) || stemmed.startsWith(term));
+}
+
+/**
+ * Splits text into `{ text, match }` segments, flagging every word that
+ * matches one of the query terms so the caller can wrap it in <mark>.
+ */
+export function highlight(text, terms) {
+  return text
+    .split(WORD)
+    .filter(Boolean)
+    .map(part => ({
+      text: part,
+      match: WORD.test(part) && matches(part, terms),
+    }));
+}
+
+/**
+ * Cuts a window of roughly `length` characters around the first matching
+ * word, so long body text still shows why a result matched.
+ */
+export function snippet(text, terms, length = 160) {
+  if (text.length <= length) {
+    return text;
+  }
+  const segments = highlight(text, terms);
+  let offset = 0;
+  for (const segment of segments) {
+    if (segment.match) {
+      break;
+    }
+    offset += segment.text.length;
+  }
+  if (offset >= text.length) {
+    offset = 0;
+  }
+  let start = Math.max(0, Math.min(offset - length / 4, text.length - length));
+  if (start > 0) {
+    start = text.indexOf(' ', start) + 1;
+  }
+  const cut = text.slice(start, start + length).trim();
+  return `${start > 0 ? '… ' : ''}${cut}${start + length < text.length ? ' …' : ''}`;
+}
@@ -0,0 +1,33 @@
+import { asset } from '../utils/asset';
+import { SEARCH_INDEX_VERSION } from './searchIndex';
+
+export const SEARCH_INDEX_FILE = 'search-index.json';
+
+let pending = null;
+
+/**
+ * Fetches the prebuilt index from public/ the first time search is opened
+ * and caches it for the rest of the session. A failed or out-of-date
+ * download is not cached, so the next open retries.
+ */
+export function loadSearchIndex() {
+  if (!pending) {
+    pending = fetch(asset(`${SEARCH_INDEX_FILE}?v=${SEARCH_INDEX_VERSION}`))
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Search index request failed with ${response.status}`);
+        }
+        return response.json();
+      })
+      .then(index => {
+        if (index.version !== SEARCH_INDEX_VERSION) {
+          throw new Error(`Expected search index v${SEARCH_INDEX_VERSION}, got v${index.version}`);
+        }
+        return index;
+      });
+    pending.catch(() => {
+      pending = null;
+    });
+  }
+  return pending;
+}
@@ -0,0 +1,105 @@
+import { tokenize } from './tokenize';
+
+// Bump whenever the serialised shape or the tokeniser changes, so a stale
+// public/search-index.json is rejected instead of silently mis-ranking.
+export const SEARCH_INDEX_VERSION = 1;
+
+export const FIELDS = ['title', 'category', 'body'];
+export const FIELD_WEIGHTS = { title: 3, category: 2, body: 1 };
+
+// Stored document columns, in order.
+const COLUMNS = ['type', 'title', 'category', 'href', 'body'];
+
+// Below this length an indexed term is not treated as a prefix of a longer
+// query word; stops "in" from matching everything that starts with it.
+const MIN_STEM_PREFIX = 4;
+
+/**
+ * Builds the serialised search index. Documents are stored as arrays in
+ * COLUMNS order, and `terms` maps each stemmed token to a flat list of
+ * `documentIndex, fieldIndex, termFrequency` triples.
+ */
+export function buildIndex(documents) {
+  const terms = {};
+
+  documents.forEach((document, documentIndex) => {
+    FIELDS.forEach((field, fieldIndex) => {
+      const counts = {};
+      tokenize(document[field] || '').forEach(token => {
+        counts[token] = (counts[token] || 0) + 1;
+      });
+      Object.entries(counts).forEach(([token, count]) => {
+        (terms[token] = terms[token] || []).push(documentIndex, fieldIndex, count);
+      });
+    });
+  });
+
+  return {
+    version: SEARCH_INDEX_VERSION,
+    fields: FIELDS,
+    weights: FIELDS.map(field => FIELD_WEIGHTS[field]),
+    documents: documents.map(document => COLUMNS.map(column => document[column] || '')),
+    terms,
+  };
+}
+
+function toDocument(row) {
+  return Object.fromEntries(COLUMNS.map((column, position) => [column, row[position]]));
+}
+
+// The last query word may still be being typed, so it matches any indexed
+// term it is a prefix of, and any longer-than-MIN_STEM_PREFIX stem that is a
+// prefix of it ("financia" still finds "financi").
+function matchingTerms(index, term, partial) {
+  if (!partial) {
+    return term in index.terms ? [term] : [];
+  }
+  return Object.keys(index.terms).filter(
+    candidate =>
+      candidate.startsWith(term) || (candidate.length >= MIN_STEM_PREFIX && term.startsWith(candidate))
+  );
+}
+
+/**
+ * Ranks documents containing every query term. Scores are tf-idf, weighted
+ * by the field the term was found in.
+ */
+export function search(index, query, limit = 10) {
+  const queryTerms = tokenize(query);
+  if (queryTerms.length === 0) {
+    return [];
+  }
+
+  const total = index.documents.length;
+  let scores = null;
+
+  queryTerms.forEach((term, position) => {
+    const termScores = new Map();
+    matchingTerms(index, term, position === queryTerms.length - 1).forEach(candidate => {
+      const postings = index.terms[candidate];
+      const idf = Math.log(1 + total / (postings.length / 3));
+      for (let i = 0; i < postings.length; i += 3) {
+        const [documentIndex, fieldIndex, count] = postings.slice(i, i + 3);
+        const score = index.weights[fieldIndex] * count * idf;
+        termScores.set(documentIndex, (termScores.get(documentIndex) || 0) + score);
+      }
+    });
+
+    const next = new Map();
+    termScores.forEach((score, documentIndex) => {
+      if (scores === null || scores.has(documentIndex)) {
+        next.set(documentIndex, (scores ? scores.get(documentIndex) : 0) + score);
+      }
+    });
+    scores = next;
+  });
+
+  return Array.from(scores)
+    .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+    .slice(0, limit)
+    .map(([documentIndex, score]) => ({
+      ...toDocument(index.documents[documentIndex]),
+      score,
+      terms: queryTerms,
+    }));
+}
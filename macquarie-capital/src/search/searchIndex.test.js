@@ -0,0 +1,91 @@
+import { collectDocuments } from './documents';
+import { highlight, snippet } from './highlight';
+import { buildIndex, search, SEARCH_INDEX_VERSION } from './searchIndex';
+import { stem } from './stem';
+import { tokenize } from './tokenize';
+
+const documents = [
+  { type: 'News', title: 'Sotra Connection reaches financial close', category: 'Bergen', body: '', href: '/a' },
+  { type: 'Service', title: 'Debt Capital Markets', category: 'Our services', body: 'Debt advisory and underwriting.', href: '/b' },
+  { type: 'Insight', title: 'The mobility opportunity', category: 'Energy', body: 'Decarbonising transport needs capital markets.', href: '/c' },
+];
+
+test('ranks title matches above body matches', () => {
+  const results = search(buildIndex(documents), 'capital markets');
+  expect(results.map(result => result.href)).toEqual(['/b', '/c']);
+});
+
+test('requires every term and prefix-matches the last one', () => {
+  const index = buildIndex(documents);
+  expect(search(index, 'sotra fin').map(result => result.href)).toEqual(['/a']);
+  expect(search(index, 'sotra debt')).toEqual([]);
+});
+
+test('ignores case and accents', () => {
+  const index = buildIndex([{ type: 'Page', title: 'Canada (Français)', category: '', body: '', href: '/fr' }]);
+  expect(search(index, 'FRANCAIS')).toHaveLength(1);
+});
+
+test('returns nothing for an empty or stop-word-only query', () => {
+  const index = buildIndex(documents);
+  expect(search(index, '  ')).toEqual([]);
+  expect(search(index, 'the and of')).toEqual([]);
+});
+
+test('matches other forms of a word through stemming', () => {
+  const index = buildIndex(documents);
+  expect(search(index, 'market').map(result => result.href)).toEqual(['/b', '/c']);
+  expect(search(index, 'decarbonise transports').map(result => result.href)).toEqual(['/c']);
+  expect(search(index, 'financia').map(result => result.href)).toEqual(['/a']);
+});
+
+test('serialises a compact, versioned index', () => {
+  const index = JSON.parse(JSON.stringify(buildIndex(documents)));
+  expect(index.version).toBe(SEARCH_INDEX_VERSION);
+  expect(index.weights).toEqual([3, 2, 1]);
+  expect(index.documents[1]).toEqual(['Service', 'Debt Capital Markets', 'Our services', '/b', 'Debt advisory and underwriting.']);
+  expect(index.terms.debt).toEqual([1, 0, 1, 1, 2, 1]);
+  expect(search(index, 'debt')[0]).toMatchObject({ type: 'Service', href: '/b' });
+});
+
+test('stems common English suffixes', () => {
+  expect(['markets', 'marketing', 'market'].map(stem)).toEqual(['market', 'market', 'market']);
+  expect(['connection', 'connected', 'connecting'].map(stem)).toEqual(['connect', 'connect', 'connect']);
+  expect(stem('infrastructure')).toBe('infrastructur');
+  expect(stem('2022')).toBe('2022');
+});
+
+test('drops stop words while tokenising', () => {
+  expect(tokenize('The future of the energy transition')).toEqual(['futur', 'energi', 'transit']);
+});
+
+test('highlights words starting with a query term', () => {
+  expect(highlight('Debt Capital Markets', ['cap'])).toEqual([
+    { text: 'Debt', match: false },
+    { text: ' ', match: false },
+    { text: 'Capital', match: true },
+    { text: ' ', match: false },
+    { text: 'Markets', match: false },
+  ]);
+});
+
+test('cuts a snippet around the first match', () => {
+  const text = `${'lorem ipsum '.repeat(30)}renewables ${'dolor sit '.repeat(30)}`;
+  const cut = snippet(text, ['renewables'], 80);
+  expect(cut).toContain('renewables');
+  expect(cut.startsWith('… ')).toBe(true);
+  expect(cut.endsWith(' …')).toBe(true);
+});
+
+test('indexes the body text of Markdown content', () => {
+  const index = buildIndex(collectDocuments());
+  expect(search(index, 'underwriter overnight').map(result => result.href)).toEqual([
+    '/impact/case-studies/executing-australias-largest-placement-during-covid-pandemic',
+  ]);
+  expect(search(index, 'pent-up demand').map(result => result.href)).toEqual([
+    '/perspectives/2021-year-in-review-and-2022-outlook',
+  ]);
+  expect(search(index, 'suspension bridge').map(result => result.href)).toEqual([
+    '/news/financial-close-on-the-sotra-connection-ppp-project',
+  ]);
+});
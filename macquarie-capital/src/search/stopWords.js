@@ -0,0 +1,13 @@
+// Words too common to help ranking. They are dropped from both the index and
+// the query.
+const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'been', 'but', 'by', 'can', 'could', 'do', 'for', 'from', 'had', 'has',
+  'have', 'he', 'her', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its',
+  'more', 'most', 'no', 'not', 'of', 'on', 'or', 'our', 'out', 'over', 's', 'she',
+  'so', 'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these',
+  'they', 'this', 'those', 'to', 'up', 'us', 'was', 'we', 'were', 'what', 'when',
+  'which', 'while', 'who', 'will', 'with', 'would', 'you', 'your',
+]);
+
+export default STOP_WORDS;
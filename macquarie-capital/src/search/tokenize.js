@@ -0,0 +1,21 @@
+import { stem } from './stem';
+import STOP_WORDS from './stopWords';
+
+// Shared by the index builder and the query side, so both normalise text
+// the same way.
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+export function normalize(word) {
+  return word
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase();
+}
+
+export function tokenize(text) {
+  return (text.match(WORD) || [])
+    .map(normalize)
+    .filter(token => !STOP_WORDS.has(token))
+    .map(stem);
+}
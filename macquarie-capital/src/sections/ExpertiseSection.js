@@ -0,0 +1,17 @@
+import FactTile from '../components/FactTile';
+import './Section.css';
+
+function ExpertiseSection({ heading, tiles }) {
+  return (
+    <section className="section section--grey expertise">
+      <h2 className="section__heading">{heading}</h2>
+      <div className="section__grid">
+        {tiles.map(tile => (
+          <FactTile key={tile.heading} {...tile} />
+        ))}
+      </div>
+    </section>
+  );
+}
+
+export default ExpertiseSection;
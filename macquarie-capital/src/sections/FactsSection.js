@@ -0,0 +1,16 @@
+import FactTile from '../components/FactTile';
+import './Section.css';
+
+function FactsSection({ facts }) {
+  return (
+    <section className="section section--grey facts">
+      <div className="section__grid">
+        {facts.map(fact => (
+          <FactTile key={fact.heading} {...fact} />
+        ))}
+      </div>
+    </section>
+  );
+}
+
+export default FactsSection;
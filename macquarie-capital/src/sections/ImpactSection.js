@@ -0,0 +1,17 @@
+import NewsTile from '../components/NewsTile';
+import './Section.css';
+
+function ImpactSection({ heading, tiles }) {
+  return (
+    <section className="section impact">
+      <h2 className="section__heading">{heading}</h2>
+      <div className="section__grid">
+        {tiles.map(tile => (
+          <NewsTile key={tile.href} {...tile} />
+        ))}
+      </div>
+    </section>
+  );
+}
+
+export default ImpactSection;
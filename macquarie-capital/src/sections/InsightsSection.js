@@ -0,0 +1,33 @@
+import Cta from '../components/Cta';
+import ResponsiveImage from '../components/ResponsiveImage';
+import TileLib from '../components/TileLib';
+import './Section.css';
+import './InsightsSection.css';
+
+function InsightsSection({ heading, featured, tiles }) {
+  return (
+    <section className="section insights">
+      <h2 className="section__heading">{heading}</h2>
+      <div className="insights__featured">
+        <ResponsiveImage
+          className="insights__featured-image"
+          src={featured.image}
+          aspectRatio="16 / 9"
+          sizes="(max-width: 767px) 100vw, 58vw"
+        />
+        <div className="insights__featured-content">
+          <h4 className="insights__featured-heading">{featured.heading}</h4>
+          <p>{featured.quote}</p>
+          <Cta {...featured.cta} />
+        </div>
+      </div>
+      <div className="section__grid">
+        {tiles.map(tile => (
+          <TileLib key={tile.href} {...tile} />
+        ))}
+      </div>
+    </section>
+  );
+}
+
+export default InsightsSection;
@@ -0,0 +1,14 @@
+import './Section.css';
+
+function IntroSection({ heading, paragraphs }) {
+  return (
+    <section className="section intro">
+      <h2 className="section__heading">{heading}</h2>
+      {paragraphs.map(text => (
+        <p key={text}>{text}</p>
+      ))}
+    </section>
+  );
+}
+
+export default IntroSection;
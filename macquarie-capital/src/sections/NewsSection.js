@@ -0,0 +1,15 @@
+import Cta from '../components/Cta';
+import NewsList from '../components/NewsList';
+import './Section.css';
+
+function NewsSection({ heading, items, limit, cta }) {
+  return (
+    <section className="section section--grey news">
+      <h2 className="section__heading">{heading}</h2>
+      <NewsList items={items} limit={limit} />
+      <Cta {...cta} />
+    </section>
+  );
+}
+
+export default NewsSection;
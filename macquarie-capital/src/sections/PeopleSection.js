@@ -0,0 +1,19 @@
+import NewsTile from '../components/NewsTile';
+import QuoteCarousel from '../components/QuoteCarousel';
+import './Section.css';
+
+function PeopleSection({ heading, quotes, tiles }) {
+  return (
+    <section className="section people">
+      <h2 className="section__heading">{heading}</h2>
+      <QuoteCarousel quotes={quotes} label="Quotes from our people" />
+      <div className="section__grid">
+        {tiles.map(tile => (
+          <NewsTile key={tile.href} {...tile} />
+        ))}
+      </div>
+    </section>
+  );
+}
+
+export default PeopleSection;
@@ -0,0 +1,42 @@
+import Accordion from '../components/Accordion';
+import Cta from '../components/Cta';
+import ResponsiveImage from '../components/ResponsiveImage';
+import './Section.css';
+import './ServicesSection.css';
+
+function ServicesSection({ heading, description, items, equities }) {
+  const panels = items.map(item => ({
+    id: item.id,
+    title: item.title,
+    content: (
+      <>
+        {item.paragraphs.map(text => (
+          <p key={text}>{text}</p>
+        ))}
+        {item.link && (
+          <a href={item.link.href}>{item.link.label}</a>
+        )}
+      </>
+    ),
+  }));
+
+  return (
+    <section className="section services">
+      <h2 className="section__heading">{heading}</h2>
+      <p>{description}</p>
+      <div className="services__accordion">
+        <Accordion items={panels} deepLink />
+      </div>
+      <div className="services__equities">
+        <ResponsiveImage src={equities.image} aspectRatio="16 / 9" sizes="(max-width: 767px) 100vw, 50vw" />
+        <div className="services__equities-content">
+          <h2>{equities.heading}</h2>
+          <p>{equities.description}</p>
+          <Cta {...equities.cta} />
+        </div>
+      </div>
+    </section>
+  );
+}
+
+export default ServicesSection;
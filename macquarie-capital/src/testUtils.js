@@ -0,0 +1,19 @@
+import { render } from '@testing-library/react';
+import { MemoryRouter, Route, Routes } from 'react-router-dom';
+import { ROUTER_FUTURE } from './router';
+
+/**
+ * Renders `routes`, an object of route path to element, in a MemoryRouter
+ * starting at `path`, for page tests that go through the router like App.
+ */
+export function renderAt(path, routes) {
+  return render(
+    <MemoryRouter initialEntries={[path]} future={ROUTER_FUTURE}>
+      <Routes>
+        {Object.entries(routes).map(([route, element]) => (
+          <Route key={route} path={route} element={element} />
+        ))}
+      </Routes>
+    </MemoryRouter>
+  );
+}
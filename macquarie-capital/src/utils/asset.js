@@ -0,0 +1,5 @@
+// Resolves a path relative to public/ against the app's public URL, so the
+// clone keeps working when it is served from a sub-path.
+export function asset(path) {
+  return `${process.env.PUBLIC_URL}/${path}`;
+}
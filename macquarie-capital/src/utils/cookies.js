@@ -0,0 +1,31 @@
+// Cookie names set for this page, e.g. ['_ga', '_gid'].
+export function cookieNames() {
+  return document.cookie
+    .split(';')
+    .map(cookie => cookie.split('=')[0].trim())
+    .filter(Boolean);
+}
+
+// The current host and each parent domain (www.example.com, .example.com),
+// since a cookie can only be expired with the domain it was set for.
+function cookieDomains() {
+  const parts = window.location.hostname.split('.');
+  const parents = parts.slice(1, -1).map((part, index) => `.${parts.slice(index + 1).join('.')}`);
+  return [undefined, window.location.hostname, ...parents];
+}
+
+/**
+ * Expires every cookie whose name matches one of `patterns` (strings match
+ * exactly, regular expressions by test). Returns the names removed.
+ */
+export function deleteCookies(patterns) {
+  const matches = name => patterns.some(pattern => (pattern instanceof RegExp ? pattern.test(name) : pattern === name));
+  const names = cookieNames().filter(matches);
+  names.forEach(name => {
+    cookieDomains().forEach(domain => {
+      const scope = domain ? `; domain=${domain}` : '';
+      document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/${scope}`;
+    });
+  });
+  return names;
+}
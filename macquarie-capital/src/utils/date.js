@@ -0,0 +1,14 @@
+// Content dates are ISO calendar dates ("2022-01-27"). They are read and
+// formatted in UTC so a visitor's time zone never shifts them by a day.
+export function parseDate(iso) {
+  return new Date(`${iso}T00:00:00Z`);
+}
+
+export function formatDate(iso) {
+  return parseDate(iso).toLocaleDateString('en-AU', {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+    timeZone: 'UTC',
+  });
+}
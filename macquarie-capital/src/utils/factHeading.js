@@ -0,0 +1,28 @@
+// Splits a fact heading such as "$A457 billion", "No. 1 in ANZ" or "2.5x"
+// around its first number so the number can be animated while the currency,
+// units and ordinal text around it stay put.
+const NUMBER = /^(.*?)(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d+))?(.*)$/s;
+
+export function parseFactHeading(text) {
+  const match = NUMBER.exec(text);
+  if (!match) {
+    return null;
+  }
+  const [, prefix, integer, fraction = '', suffix] = match;
+  return {
+    prefix,
+    value: Number(`${integer.replace(/,/g, '')}.${fraction || 0}`),
+    decimals: fraction.length,
+    grouped: integer.includes(','),
+    suffix,
+  };
+}
+
+export function formatFactHeading({ prefix, decimals, grouped, suffix }, value) {
+  const number = value.toLocaleString('en-AU', {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals,
+    useGrouping: grouped,
+  });
+  return `${prefix}${number}${suffix}`;
+}
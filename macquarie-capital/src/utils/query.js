@@ -0,0 +1,30 @@
+// Helpers for list pages that keep their filters in the query string so a
+// filtered view can be bookmarked or shared.
+
+// Comma-separated values of `name` that appear in `known`, e.g.
+// ?area=americas,asia -> ['americas', 'asia']. Unknown values are dropped.
+export function readList(params, name, known) {
+  return (params.get(name) || '').split(',').filter(value => known.includes(value));
+}
+
+// 1-based page number from ?page=, defaulting to 1.
+export function readPage(params) {
+  return Math.max(1, Number.parseInt(params.get('page'), 10) || 1);
+}
+
+/**
+ * Builds a query string (without the "?") from `values`. Arrays are joined
+ * with commas, which are left unescaped for readability; `undefined`,
+ * empty strings and empty arrays are left out, so defaults never clutter
+ * the URL.
+ */
+export function buildQuery(values) {
+  const params = new URLSearchParams();
+  Object.entries(values).forEach(([name, value]) => {
+    const text = Array.isArray(value) ? value.join(',') : value;
+    if (text !== undefined && text !== '') {
+      params.set(name, String(text));
+    }
+  });
+  return params.toString().replace(/%2C/g, ',');
+}
@@ -0,0 +1,43 @@
+import manifest from '../data/renditions.json';
+import { asset } from './asset';
+
+// Written by scripts/build-renditions.js. Offered to the browser in this
+// order, ahead of the source image's own format.
+const MODERN_FORMATS = ['avif', 'webp'];
+
+const WIDTH_TOKEN = '{.width}';
+
+/**
+ * Builds a `srcset` from an AEM-style template such as
+ * `images/tile{.width}.jpeg` and a list of rendition widths, the same
+ * contract as the reference `data-cmp-src` / `data-cmp-widths` attributes.
+ */
+export function buildSrcSet(template, widths) {
+  return widths
+    .map(width => `${asset(template.replace(WIDTH_TOKEN, `.${width}`))} ${width}w`)
+    .join(', ');
+}
+
+/**
+ * Looks an image up in the rendition manifest by file name, so content can
+ * keep referring to `images/<file>` while the browser gets renditions.
+ */
+export function getRendition(src) {
+  return manifest[src.split('/').pop()] || null;
+}
+
+/**
+ * `srcset` strings for a manifest entry: one per modern format, each with
+ * its MIME type for a <source>, and one in the source format for the <img>.
+ */
+export function renditionSrcSets(rendition) {
+  const { formats, widths } = rendition;
+  const fallback = Object.keys(formats).find(format => !MODERN_FORMATS.includes(format));
+  return {
+    typed: MODERN_FORMATS.filter(format => formats[format]).map(format => ({
+      type: `image/${format}`,
+      srcSet: buildSrcSet(formats[format], widths),
+    })),
+    srcSet: buildSrcSet(formats[fallback], widths),
+  };
+}
@@ -0,0 +1,10 @@
+// Turns a label such as "Market commentary" into a URL-safe slug
+// ("market-commentary").
+export function slugify(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}